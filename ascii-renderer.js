@@ -1194,6 +1194,123 @@
     return canvas;
   };
 
+  // ---------------------------------------------------------------------------
+  // Utility: Convert an image to ASCII art
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sample a loaded image into ASCII art and store it under `name`, so it can
+   * be drawn with getArt() / renderToCanvas() like the built-in pieces.
+   * The image must be same-origin (its pixels are read back).
+   * @param {string} name
+   * @param {HTMLImageElement|HTMLCanvasElement} image
+   * @param {object} [options]
+   * @param {number} [options.columns=48]
+   * @param {string} [options.ramp=' .:-=+*#%@'] - dark to light
+   * @returns {string[]} the art lines
+   */
+  AsciiOverlay.prototype.imageToArt = function (name, image, options) {
+    var opts = options || {};
+    var columns = opts.columns || 48;
+    var ramp = opts.ramp || ' .:-=+*#%@';
+
+    var width = image.naturalWidth || image.width;
+    var height = image.naturalHeight || image.height;
+    // Glyphs are roughly twice as tall as they are wide
+    var rows = Math.max(1, Math.round(columns * (height / width) * 0.5));
+
+    var canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = rows;
+    var ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, columns, rows);
+    var data = ctx.getImageData(0, 0, columns, rows).data;
+
+    var lines = [];
+    for (var y = 0; y < rows; y++) {
+      var line = '';
+      for (var x = 0; x < columns; x++) {
+        var p = (y * columns + x) * 4;
+        // Transparent pixels read as background
+        var alpha = data[p + 3] / 255;
+        var lum = (0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) / 255 * alpha;
+        line += ramp.charAt(Math.min(ramp.length - 1, Math.floor(lum * ramp.length)));
+      }
+      lines.push(line.replace(/\s+$/, ''));
+    }
+
+    ART[name] = lines;
+    return lines;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Utility: Glyph atlas for the 3D scene's ASCII pass
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Draw the block-letter FONT's characters and MATRIX_CHARS into a
+   * one-row canvas, ordered from least to most ink, so a shader can pick a
+   * glyph by brightness. Glyphs are clipped to their cells.
+   * @param {object} [options]
+   * @param {number} [options.fontSize=12] - in canvas pixels
+   * @param {string} [options.color='#ffffff']
+   * @returns {{ canvas: HTMLCanvasElement, chars: string, cellWidth: number, cellHeight: number }}
+   */
+  AsciiOverlay.prototype.createGlyphAtlas = function (options) {
+    var opts = options || {};
+    var fontSize = opts.fontSize || 12;
+    var cellWidth = Math.ceil(fontSize * 0.6);
+    var cellHeight = Math.ceil(fontSize * 1.2);
+
+    var chars = [' '];
+    Object.keys(FONT).forEach(function (key) {
+      FONT[key].join('').split('').forEach(function (ch) {
+        if (chars.indexOf(ch) === -1) chars.push(ch);
+      });
+    });
+    this._matrixChars.forEach(function (ch) {
+      if (chars.indexOf(ch) === -1) chars.push(ch);
+    });
+
+    var canvas = document.createElement('canvas');
+    canvas.width = cellWidth * chars.length;
+    canvas.height = cellHeight;
+    var ctx = canvas.getContext('2d');
+    ctx.font = fontSize + 'px "Courier New", monospace';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = opts.color || '#ffffff';
+
+    var drawAt = function (ch, i) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(i * cellWidth, 0, cellWidth, cellHeight);
+      ctx.clip();
+      ctx.fillText(ch, i * cellWidth + cellWidth / 2, cellHeight / 2);
+      ctx.restore();
+    };
+
+    // Measure each glyph's ink, then redraw them darkest first
+    var ink = chars.map(function (ch, i) {
+      drawAt(ch, i);
+      var data = ctx.getImageData(i * cellWidth, 0, cellWidth, cellHeight).data;
+      var sum = 0;
+      for (var p = 3; p < data.length; p += 4) sum += data[p];
+      return { ch: ch, ink: sum };
+    });
+    ink.sort(function (a, b) { return a.ink - b.ink; });
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ink.forEach(function (glyph, i) { drawAt(glyph.ch, i); });
+
+    return {
+      canvas: canvas,
+      chars: ink.map(function (glyph) { return glyph.ch; }).join(''),
+      cellWidth: cellWidth,
+      cellHeight: cellHeight,
+    };
+  };
+
   // ---------------------------------------------------------------------------
   // Utility: Get the matrix canvas (for custom positioning)
   // ---------------------------------------------------------------------------
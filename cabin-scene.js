@@ -4,6 +4,186 @@
  * Atmospheric misty forest clearing -> cozy interior workspace
  */
 
+// Laptop screen canvas layout, in texture pixels
+const SCREEN_LAYOUT = {
+  size: 512,
+  firstBaseline: 45,
+  lineHeight: 18,
+  pad: 14,
+  scrollbarWidth: 6,
+};
+// Oldest lines drop off the laptop screen's scrollback past this
+const SCREEN_MAX_LINES = 500;
+
+// Letters and digits in any script, for Ctrl/Option+arrow word jumps
+const SCREEN_WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+// The laptop's apps, in Alt+1..4 order. Text apps are editor buffers
+// with their own grammar; the rest draw themselves.
+const SCREEN_APPS = [
+  { id: 'terminal', title: 'terminal', grammar: 'shell' },
+  { id: 'notes', title: 'notes', grammar: 'markdown' },
+  { id: 'photos', title: 'photos' },
+  { id: 'music', title: 'music' },
+];
+const SCREEN_TITLE_BAR = 28;
+
+// CJK and fullwidth characters take two monospace cells
+const SCREEN_WIDE_CHAR = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+// What the TV shows until setTVChannels() brings the content's list.
+// Channels are { id, name, type: 'video' | 'static' | 'ascii', src, url }.
+const TV_CHANNELS = [
+  { id: 'kodan', name: 'kodan', type: 'video', src: 'public/kodan.mp4' },
+];
+// The static and ASCII channels and the OSD draw at this size
+const TV_CANVAS = { width: 256, height: 192 };
+// Darkest to brightest, for the ASCII channel
+const TV_ASCII_RAMP = ' .:-=+*#%@';
+const TV_PHOSPHOR = '#8fe08a';
+
+// Camera path keyframes: at scroll progress t the camera sits at pos
+// looking at look. cabinScene.editCameraPath() exports this same JSON.
+// Laptop screen center: (-1.8, 1.19, -5.61)
+const CAMERA_KEYFRAMES = [
+  { t: 0.0,  pos: [0, 2.5, 25],         look: [0, 2.0, 0] },
+  { t: 0.15, pos: [-2, 2.2, 16],        look: [0, 1.8, 0] },
+  { t: 0.30, pos: [0, 1.8, 6],          look: [0, 1.6, -1] },
+  { t: 0.45, pos: [0, 1.7, 2.5],        look: [0, 1.6, -2] },
+  { t: 0.55, pos: [0, 1.7, 0],          look: [-1, 1.5, -4] },
+  { t: 0.68, pos: [0, 1.7, -1],         look: [-1.5, 1.3, -5] },
+  { t: 0.78, pos: [-0.5, 1.5, -2.5],    look: [-1.8, 1.19, -5.61] },
+  { t: 0.88, pos: [-1.4, 1.3, -4.5],    look: [-1.8, 1.19, -5.61] },
+  { t: 1.0,  pos: [-1.72, 1.22, -5.25], look: [-1.8, 1.19, -5.61] },
+];
+
+// Free-roam explore mode: eye height, body radius against colliders,
+// speeds in units per second and how far the ground goes
+const EXPLORE = {
+  eyeHeight: 1.6,
+  radius: 0.3,
+  walk: 2.2,
+  run: 4.5,
+  lookSpeed: 0.0025,
+  bounds: { minX: -30, maxX: 30, minZ: -30, maxZ: 30 },
+};
+
+// Post-processing per performance tier (see scene-effects.js): bloom
+// target size relative to the screen and how many halvings below it,
+// depth-of-field samples and widest blur in CSS pixels. Low-end devices
+// draw straight to the screen.
+const POST_FX = {
+  low: null,
+  mid: { bloom: { scale: 0.25, levels: 1 }, dof: { taps: 16, maxBlur: 6 }, fxaa: true },
+  high: { bloom: { scale: 0.5, levels: 2 }, dof: { taps: 32, maxBlur: 10 }, fxaa: true },
+};
+
+// Glyph size for the ASCII pass, in CSS pixels
+const ASCII_FONT_SIZE = 12;
+
+// Sky and fill-light colors at night, midday and sunrise/sunset.
+// _updateSky() blends them by the sun's height.
+const SKY = {
+  night: { background: 0x020408, fog: 0x050810, ambient: 0x0a0e1a, hemiSky: 0x1a2244, hemiGround: 0x040608 },
+  day: { background: 0x8fb4d8, fog: 0x9fb8cc, ambient: 0x8899aa, hemiSky: 0x9cc4e8, hemiGround: 0x4a4030 },
+  dusk: { background: 0x4a3050, fog: 0x5a3a48, ambient: 0x4a3038, hemiSky: 0xd08a60, hemiGround: 0x2a1a18 },
+  overcast: 0x4a5058,
+};
+
+// What each weather state does: how grey the sky goes (hiding stars and
+// dimming the sun or moon), how much thicker the fog gets, what falls
+const WEATHER = {
+  clear: { overcast: 0, fog: 1, falling: null },
+  rain: { overcast: 0.7, fog: 1.6, falling: 'rain' },
+  snow: { overcast: 0.5, fog: 1.8, falling: 'snow' },
+  fog: { overcast: 0.4, fog: 4, falling: null },
+};
+
+function isWeather(state) {
+  return Object.prototype.hasOwnProperty.call(WEATHER, state);
+}
+
+// Rain and snow fall in a box this wide and tall around the camera
+const PRECIPITATION = { halfWidth: 14, height: 14, rainSpeed: 10, snowSpeed: 0.9 };
+
+// Arc-length samples per keyframe segment of a camera rail
+const CAMERA_RAIL_STEPS = 64;
+
+/**
+ * Tangents for a monotone cubic through (xs[i], ys[i]) — Fritsch-Carlson,
+ * so the curve never overshoots or runs backwards between points.
+ */
+function monotoneSlopes(xs, ys) {
+  const n = xs.length;
+  const d = [];
+  for (let i = 0; i < n - 1; i++) d.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+  if (n < 3) return [d[0], d[0]];
+
+  const m = [d[0]];
+  for (let i = 1; i < n - 1; i++) m.push(d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2);
+  m.push(d[n - 2]);
+
+  for (let i = 0; i < n - 1; i++) {
+    if (d[i] === 0) {
+      m[i] = 0;
+      m[i + 1] = 0;
+      continue;
+    }
+    const a = m[i] / d[i];
+    const b = m[i + 1] / d[i];
+    const h = a * a + b * b;
+    if (h > 9) {
+      const tau = 3 / Math.sqrt(h);
+      m[i] = tau * a * d[i];
+      m[i + 1] = tau * b * d[i];
+    }
+  }
+  return m;
+}
+
+/**
+ * One camera rail: a centripetal Catmull-Rom curve through keyframe
+ * points, walked by arc length. Scroll progress maps to distance along
+ * the curve through a monotone cubic, so every keyframe is still reached
+ * at its own scroll % but speed changes smoothly across it.
+ */
+class CameraRail {
+  constructor(points, times) {
+    this.times = times.slice();
+    this.curve = new THREE.CatmullRomCurve3(points.map((p) => p.clone()), false, 'centripetal');
+    this.curve.arcLengthDivisions = (points.length - 1) * CAMERA_RAIL_STEPS;
+    const lengths = this.curve.getLengths();
+    this.length = lengths[lengths.length - 1];
+    // Distance along the curve at each keyframe
+    this.knots = points.map((p, i) => lengths[i * CAMERA_RAIL_STEPS]);
+    this.slopes = monotoneSlopes(this.times, this.knots);
+  }
+
+  // Distance along the rail at scroll progress t
+  distanceAt(t) {
+    const xs = this.times;
+    const ys = this.knots;
+    const n = xs.length;
+    if (t <= xs[0]) return ys[0];
+    if (t >= xs[n - 1]) return ys[n - 1];
+
+    let i = 0;
+    while (t > xs[i + 1]) i++;
+    const h = xs[i + 1] - xs[i];
+    const s = (t - xs[i]) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    return (2 * s3 - 3 * s2 + 1) * ys[i] + (s3 - 2 * s2 + s) * h * this.slopes[i] +
+      (-2 * s3 + 3 * s2) * ys[i + 1] + (s3 - s2) * h * this.slopes[i + 1];
+  }
+
+  getPoint(t, target = new THREE.Vector3()) {
+    if (!this.length) return target.copy(this.curve.points[0]);
+    const u = THREE.MathUtils.clamp(this.distanceAt(t) / this.length, 0, 1);
+    return this.curve.getPointAt(u, target);
+  }
+}
+
 class CabinScene {
   constructor() {
     this.clock = new THREE.Clock();
@@ -24,9 +204,23 @@ class CabinScene {
     this.brainFadeAlpha = 0;
     this.brainMaterials = [];
 
-    // Interactive objects (clickable)
+    // Interactive objects (clickable): the meshes raycasts test, and per id
+    // { id, hoverText, onClick, onHover } — see registerInteractive()
     this.interactiveObjects = [];
+    this.interactives = {};
+    this.books = []; // { mesh, baseZ, pulled, entry } — entry from setReadingList()
+    // (entry) => void when a book comes out, (null) when it goes back
+    this.onBookOpen = null;
+    this.lampOn = true;
+    this._doorHeldOpen = false;
+    this._moonPulse = 0;
+    this._brainSpin = 0;
+    this._brainSpinAngle = 0;
     this.raycaster = new THREE.Raycaster();
+    // Channel, volume and OSD state live in this._tv (see _buildInterior)
+    this.onTVChange = null; // (state) => void, see getTVState()
+    this._tvFrustum = new THREE.Frustum();
+    this._tvFrustumMatrix = new THREE.Matrix4();
     this.mouseNDC = new THREE.Vector2();
     this.hoveredObject = null;
 
@@ -39,6 +233,31 @@ class CabinScene {
     this.cameraCurrentLookAt = new THREE.Vector3();
     this.cameraTargetOffset = new THREE.Vector3();
     this.cameraCurrentOffset = new THREE.Vector3();
+    // Set to render through another camera, leaving this.camera on its
+    // rails (the path editor's overview)
+    this.viewCamera = null;
+
+    // Post-processing (null when the tier or the browser can't run it).
+    // focus is where setDepthOfField() wants it; _focus eases after it.
+    this.effects = null;
+    this.focus = { aperture: 0, pull: 0 };
+    this._focus = { aperture: 0, pull: 0 };
+
+    // Hours 0-24 to show instead of the visitor's clock, a forced weather
+    // state, and the looping { state, minutes } script weather follows
+    // otherwise. this.sky is what _updateSky() has eased to so far.
+    this.timeOverride = null;
+    this.weatherOverride = null;
+    this.weatherScript = [{ state: 'clear', minutes: 60 }];
+    this.sky = null;
+    this._indoorFactor = 0;
+
+    // Free-roam state while exploring (see enterExplore()), and the
+    // { minX, maxX, minZ, maxZ } footprints it can't walk through
+    this.explore = null;
+    this.colliders = [];
+    // Solid meshes that block hover and clicks on whatever is behind them
+    this.occluders = [];
 
     try {
       this._init();
@@ -77,7 +296,8 @@ class CabinScene {
     this._createStars();
     this._createShootingStars();
     this._createMoon();
-    // ASCII post-process removed
+    this._createPrecipitation();
+    this._createEffects();
     this._bindEvents();
     this._animate();
   }
@@ -125,25 +345,23 @@ class CabinScene {
       200
     );
 
-    // Camera path keyframes: [scroll%, position, lookAt]
-    // Laptop screen center: (-1.8, 1.19, -5.61)
-    this.cameraKeyframes = [
-      { t: 0.0,  pos: new THREE.Vector3(0, 2.5, 25),    look: new THREE.Vector3(0, 2.0, 0) },
-      { t: 0.15, pos: new THREE.Vector3(-2, 2.2, 16),    look: new THREE.Vector3(0, 1.8, 0) },
-      { t: 0.30, pos: new THREE.Vector3(0, 1.8, 6),      look: new THREE.Vector3(0, 1.6, -1) },
-      { t: 0.45, pos: new THREE.Vector3(0, 1.7, 2.5),    look: new THREE.Vector3(0, 1.6, -2) },
-      { t: 0.55, pos: new THREE.Vector3(0, 1.7, 0),      look: new THREE.Vector3(-1, 1.5, -4) },
-      { t: 0.68, pos: new THREE.Vector3(0, 1.7, -1),     look: new THREE.Vector3(-1.5, 1.3, -5) },
-      { t: 0.78, pos: new THREE.Vector3(-0.5, 1.5, -2.5), look: new THREE.Vector3(-1.8, 1.19, -5.61) },
-      { t: 0.88, pos: new THREE.Vector3(-1.4, 1.3, -4.5), look: new THREE.Vector3(-1.8, 1.19, -5.61) },
-      { t: 1.0,  pos: new THREE.Vector3(-1.72, 1.22, -5.25), look: new THREE.Vector3(-1.8, 1.19, -5.61) },
-    ];
+    this.setCameraKeyframes(CAMERA_KEYFRAMES);
 
     this.camera.position.copy(this.cameraKeyframes[0].pos);
     this.cameraCurrentPos.copy(this.cameraKeyframes[0].pos);
     this.cameraCurrentLookAt.copy(this.cameraKeyframes[0].look);
   }
 
+  // Position and look-at rails through this.cameraKeyframes
+  _buildCameraRails() {
+    const kf = this.cameraKeyframes;
+    const times = kf.map((k) => k.t);
+    this.cameraRails = {
+      pos: new CameraRail(kf.map((k) => k.pos), times),
+      look: new CameraRail(kf.map((k) => k.look), times),
+    };
+  }
+
   // ── Procedural Textures ─────────────────────────────────────────────
 
   _createGrassTexture() {
@@ -326,7 +544,7 @@ class CabinScene {
   }
 
   _createCodeScreenTexture() {
-    const size = 512;
+    const size = SCREEN_LAYOUT.size;
     this._screenCanvas = document.createElement('canvas');
     this._screenCanvas.width = size;
     this._screenCanvas.height = size;
@@ -335,24 +553,47 @@ class CabinScene {
     this._screenCursorVisible = true;
     this._screenCursorTimer = null;
 
-    // The editable text lines (terminal style)
-    this._screenLines = [
-      '> ',
-      'If you don’t take risks, you can’t create a future -luffy',
-      '',
-      '> ls projects/',
-      'protocols/ kodan/  serenidad/  anime/',
-      'lasers/',
-      '',
-      '> cat contact.txt',
-      'email: dieter@serenidad.app',
-      'twitter: @dieterzsh',
-      'github: Deetschoe',
-      '',
-      '> _',
-    ];
-    this._screenCursorLine = this._screenLines.length - 1;
-    this._screenCursorCol = 0;
+    // The editable text lines (terminal style) — UIController fills these
+    // from content.json via setScreenLines()
+    this._screenLines = ['> '];
+    this._screenCursorLine = 0;
+    this._screenCursorCol = 2;
+    this._screenScroll = 0; // first visible wrapped row
+    this._screenAnchor = null; // selection start { line, col }, or null
+    this._screenComposition = null; // IME text being composed, or null
+    this._screenUndoStack = [];
+    this._screenRedoStack = [];
+    this._screenLastEdit = null;
+    this._screenTextInput = null;
+
+    // Highlighting: a ScreenHighlighter grammar name and a theme in its shape
+    this.screenGrammar = 'shell';
+    this.screenTheme = ScreenHighlighter.THEME;
+
+    // Windows: the fields above belong to the focused text app; the other
+    // text apps keep theirs in _screenDocs until they're focused
+    this._screenApp = 'terminal';
+    this._screenTextApp = 'terminal'; // whose buffer the editor fields hold
+    this._screenWindows = ['terminal']; // open windows, most recent first
+    this._screenDocs = {
+      notes: this._newScreenDoc(['# notes', '', '- '], 'markdown'),
+    };
+    this._screenTitleHits = [];
+    this._screenMedia = { photos: [], tracks: [] };
+    this._screenPhoto = 0;
+    this._screenImages = {}; // src -> Image, once requested
+    this._screenTrack = 0; // selected row in the music list
+    this._screenAudio = null;
+    this._screenAudioSrc = null;
+
+    // Enter on a "> " line runs it through this hook, set by UIController:
+    // (cmd) => { lines, cleared }
+    this.onScreenCommand = null;
+    // Called with (lines, appId) after each edit (not after setScreenLines)
+    this.onScreenChange = null;
+    // Called with the URL of a link clicked on the screen
+    this.onScreenLink = null;
+    this._screenReportedText = '> ';
 
     this._renderScreen();
     this._screenTexture = new THREE.CanvasTexture(this._screenCanvas);
@@ -361,64 +602,581 @@ class CabinScene {
 
   _renderScreen() {
     const ctx = this._screenCtx;
-    const size = 512;
+    const { size, firstBaseline, lineHeight, pad, scrollbarWidth } = SCREEN_LAYOUT;
+
+    const theme = this.screenTheme;
 
     // Background
-    ctx.fillStyle = '#1e1e2a';
+    ctx.fillStyle = theme.background;
     ctx.fillRect(0, 0, size, size);
 
-    // Top bar
-    ctx.fillStyle = '#16161e';
-    ctx.fillRect(0, 0, size, 28);
+    this._renderTitleBar();
+
+    // Content area
+    if (this._screenApp === 'photos') this._renderPhotos();
+    else if (this._screenApp === 'music') this._renderMusic();
+    else this._renderScreenText();
+
+    // Update texture if it exists
+    if (this._screenTexture) {
+      this._screenTexture.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Traffic lights (close / minimize) and one tab per app. Tabs of open
+   * windows are brighter; the focused one merges into the content area.
+   * Remembers where everything is for clickScreen().
+   */
+  _renderTitleBar() {
+    const ctx = this._screenCtx;
+    const theme = this.screenTheme;
+    const size = SCREEN_LAYOUT.size;
+
+    ctx.fillStyle = theme.titleBar;
+    ctx.fillRect(0, 0, size, SCREEN_TITLE_BAR);
     ctx.fillStyle = '#ff5f56'; ctx.fillRect(8, 8, 10, 10);
     ctx.fillStyle = '#ffbd2e'; ctx.fillRect(24, 8, 10, 10);
     ctx.fillStyle = '#27c93f'; ctx.fillRect(40, 8, 10, 10);
-    ctx.fillStyle = '#666';
+
+    this._screenTitleHits = [
+      { x: 4, w: 16, action: 'close' },
+      { x: 20, w: 16, action: 'minimize' },
+    ];
+
     ctx.font = '10px monospace';
-    ctx.fillText("dieter's terminal", 175, 18);
+    let x = 64;
+    SCREEN_APPS.forEach((app, i) => {
+      const label = (i + 1) + ' ' + app.title;
+      const w = ctx.measureText(label).width + 16;
+      if (app.id === this._screenApp) {
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(x, 5, w, SCREEN_TITLE_BAR - 5);
+        ctx.fillStyle = theme.tokens.text;
+      } else {
+        ctx.fillStyle = this._screenWindows.includes(app.id) ? theme.tokens.text : theme.title;
+      }
+      ctx.fillText(label, x + 8, 18);
+      this._screenTitleHits.push({ x, w, action: app.id });
+      x += w + 2;
+    });
+  }
+
+  // The focused text app: wrapped, highlighted lines with cursor and selection
+  _renderScreenText() {
+    const ctx = this._screenCtx;
+    const { size, firstBaseline, lineHeight, pad, scrollbarWidth } = SCREEN_LAYOUT;
+    const theme = this.screenTheme;
+
+    ctx.font = '12px monospace';
+    const rows = this._layoutScreen();
+    const visible = this._screenVisibleRows();
+    this._screenScroll = Math.max(0, Math.min(this._screenScroll, rows.length - visible));
+
+    const selection = this._screenSelection();
+    const cursorCol = this._screenDisplayCol();
+    const display = this._screenLines.map((_, i) => this._screenDisplayLine(i));
+    const tokens = ScreenHighlighter.highlight(display, this.screenGrammar);
+
+    for (let r = 0; r < visible && this._screenScroll + r < rows.length; r++) {
+      const row = rows[this._screenScroll + r];
+      const line = display[row.line];
+      const y = firstBaseline + r * lineHeight;
+      const xAt = (col) => pad + ctx.measureText(line.substring(row.start, col)).width;
+
+      // Selection highlight behind the text
+      if (selection && row.line >= selection.start.line && row.line <= selection.end.line) {
+        const from = Math.max(row.start, row.line === selection.start.line ? selection.start.col : 0);
+        const to = Math.min(row.end, row.line === selection.end.line ? selection.end.col : Infinity);
+        // A selected line break shows as one cell past the end of the line
+        const eol = row.last && row.line < selection.end.line ? 7 : 0;
+        if (to > from || eol) {
+          ctx.fillStyle = theme.selection;
+          ctx.fillRect(xAt(from), y - 12, xAt(to) - xAt(from) + eol, lineHeight - 2);
+        }
+      }
+
+      // Each token's slice of this row, in its theme color
+      for (const token of tokens[row.line]) {
+        const from = Math.max(token.start, row.start);
+        const to = Math.min(token.end, row.end);
+        if (to <= from) continue;
+        ctx.fillStyle = theme.tokens[token.type] || theme.tokens.text;
+        ctx.fillText(line.substring(from, to), xAt(from), y);
+      }
+
+      // Underline the IME text still being composed
+      if (this._screenComposition && row.line === this._screenCursorLine) {
+        ctx.fillStyle = theme.tokens.text;
+        const from = Math.max(row.start, this._screenCursorCol);
+        const to = Math.min(row.end, cursorCol);
+        if (to > from) ctx.fillRect(xAt(from), y + 2, xAt(to) - xAt(from), 1);
+      }
+
+      // Draw cursor on the active row when editing
+      if (this._screenEditing && this._screenCursorVisible && this._cursorInRow(row)) {
+        ctx.fillStyle = theme.cursor;
+        ctx.fillRect(xAt(cursorCol), y - 11, 7, 14);
+      }
+    }
+
+    // Scrollbar, only once there's more than a screenful
+    if (rows.length > visible) {
+      const trackTop = firstBaseline - 14;
+      const trackH = size - trackTop - 6;
+      const thumbH = Math.max(16, trackH * (visible / rows.length));
+      const thumbY = trackTop + (trackH - thumbH) * (this._screenScroll / (rows.length - visible));
+      const x = size - scrollbarWidth - 2;
+      ctx.fillStyle = theme.scrollTrack;
+      ctx.fillRect(x, trackTop, scrollbarWidth, trackH);
+      ctx.fillStyle = theme.scrollThumb;
+      ctx.fillRect(x, thumbY, scrollbarWidth, thumbH);
+    }
+  }
+
+  // One photo at a time, scaled to fit, with its name and position below
+  _renderPhotos() {
+    const ctx = this._screenCtx;
+    const theme = this.screenTheme;
+    const { size, pad } = SCREEN_LAYOUT;
+    const photos = this._screenMedia.photos;
 
-    // Content area
     ctx.font = '12px monospace';
-    const lineH = 18;
-    const startY = 45;
-    const pad = 14;
-
-    for (let i = 0; i < this._screenLines.length; i++) {
-      const line = this._screenLines[i];
-      const y = startY + i * lineH;
-
-      if (y > size - 10) break;
-
-      // Color coding (terminal style)
-      if (line.startsWith('>')) {
-        ctx.fillStyle = '#7a9a78';
-        ctx.font = '12px monospace';
-      } else if (line.startsWith('email:') || line.startsWith('twitter:') || line.startsWith('github:')) {
-        ctx.fillStyle = '#ffdb4e';
-        ctx.font = '12px monospace';
-      } else if (line.includes('/')) {
-        ctx.fillStyle = '#6a9fd8';
-        ctx.font = '12px monospace';
+    ctx.fillStyle = theme.title;
+    if (!photos.length) {
+      ctx.fillText('no photos', pad, 45);
+      return;
+    }
+
+    const src = photos[this._screenPhoto];
+    const img = this._screenImage(src);
+    const top = SCREEN_TITLE_BAR + 8;
+    const boxW = size - pad * 2;
+    const boxH = size - top - 40;
+
+    if (img.complete && img.naturalWidth) {
+      const scale = Math.min(boxW / img.naturalWidth, boxH / img.naturalHeight);
+      const w = img.naturalWidth * scale;
+      const h = img.naturalHeight * scale;
+      ctx.drawImage(img, pad + (boxW - w) / 2, top + (boxH - h) / 2, w, h);
+    } else {
+      ctx.fillText(img._failed ? 'could not load ' + src : 'loading…', pad, top + boxH / 2);
+    }
+
+    const caption = src.split('/').pop() + '  ' + (this._screenPhoto + 1) + '/' + photos.length;
+    ctx.fillStyle = theme.tokens.text;
+    ctx.fillText(caption, pad, size - 18);
+    ctx.fillStyle = theme.title;
+    ctx.fillText('‹  ›', size - pad - ctx.measureText('‹  ›').width, size - 18);
+  }
+
+  // Load on first view; the screen redraws when it arrives
+  _screenImage(src) {
+    let img = this._screenImages[src];
+    if (!img) {
+      img = new Image();
+      img.onload = () => { if (this._screenApp === 'photos') this._renderScreen(); };
+      img.onerror = () => {
+        img._failed = true;
+        if (this._screenApp === 'photos') this._renderScreen();
+      };
+      img.src = src;
+      this._screenImages[src] = img;
+    }
+    return img;
+  }
+
+  // Track list with the selection and what's playing, progress at the bottom
+  _renderMusic() {
+    const ctx = this._screenCtx;
+    const theme = this.screenTheme;
+    const { size, pad } = SCREEN_LAYOUT;
+    const tracks = this._screenMedia.tracks;
+    const audio = this._screenAudio;
+
+    ctx.font = '12px monospace';
+    tracks.forEach((src, i) => {
+      const y = 45 + i * 22;
+      if (i === this._screenTrack) {
+        ctx.fillStyle = theme.selection;
+        ctx.fillRect(pad - 4, y - 14, size - pad * 2 + 8, 20);
+      }
+      const playing = src === this._screenAudioSrc && audio && !audio.paused;
+      ctx.fillStyle = playing ? theme.tokens.prompt : theme.tokens.text;
+      ctx.fillText((playing ? '▶ ' : '  ') + src, pad, y);
+    });
+
+    ctx.fillStyle = theme.title;
+    if (!tracks.length) ctx.fillText('no tracks', pad, 45);
+
+    // Now playing
+    const barY = size - 34;
+    ctx.fillStyle = theme.scrollTrack;
+    ctx.fillRect(pad, barY, size - pad * 2, 4);
+    if (audio && audio.duration) {
+      ctx.fillStyle = theme.scrollThumb;
+      ctx.fillRect(pad, barY, (size - pad * 2) * (audio.currentTime / audio.duration), 4);
+    }
+    const clock = (t) => Math.floor(t / 60) + ':' + String(Math.floor(t % 60)).padStart(2, '0');
+    ctx.fillStyle = theme.title;
+    ctx.fillText(audio
+      ? (audio.paused ? 'paused  ' : 'playing ') + this._screenAudioSrc + '  ' +
+        clock(audio.currentTime) + ' / ' + clock(audio.duration || 0)
+      : 'enter plays · ↑↓ picks', pad, size - 12);
+  }
+
+  /**
+   * Soft-wrap the lines into screen rows: { line, start, end, last }.
+   * Breaks after the last space that fits, or mid-word if none does.
+   */
+  _layoutScreen() {
+    const { size, pad, scrollbarWidth } = SCREEN_LAYOUT;
+    this._screenCtx.font = '12px monospace';
+    const charW = this._screenCtx.measureText('M').width;
+    const cols = Math.max(1, Math.floor((size - pad * 2 - scrollbarWidth) / charW));
+
+    const rows = [];
+    this._screenLines.forEach((_, line) => {
+      const text = this._screenDisplayLine(line);
+      let start = 0;
+      let cells = 0;
+      let space = -1;
+      for (let i = 0; i < text.length; i++) {
+        const w = SCREEN_WIDE_CHAR.test(text[i]) ? 2 : 1;
+        if (cells + w > cols && i > start) {
+          const end = space >= start ? space + 1 : i;
+          rows.push({ line, start, end, last: false });
+          cells = 0;
+          for (let j = end; j < i; j++) cells += SCREEN_WIDE_CHAR.test(text[j]) ? 2 : 1;
+          start = end;
+        }
+        if (text[i] === ' ') space = i;
+        cells += w;
+      }
+      rows.push({ line, start, end: text.length, last: true });
+    });
+    return rows;
+  }
+
+  // A line as drawn: the cursor line includes any IME text being composed
+  _screenDisplayLine(line) {
+    const text = this._screenLines[line];
+    if (!this._screenComposition || line !== this._screenCursorLine) return text;
+    const col = this._screenCursorCol;
+    return text.substring(0, col) + this._screenComposition + text.substring(col);
+  }
+
+  _screenDisplayCol() {
+    return this._screenCursorCol + (this._screenComposition ? this._screenComposition.length : 0);
+  }
+
+  _screenVisibleRows() {
+    const { size, firstBaseline, lineHeight } = SCREEN_LAYOUT;
+    return Math.floor((size - 10 - firstBaseline) / lineHeight) + 1;
+  }
+
+  // A cursor at a wrap point belongs to the row it starts
+  _cursorInRow(row) {
+    const col = this._screenDisplayCol();
+    return row.line === this._screenCursorLine &&
+      col >= row.start && (col < row.end || (row.last && col === row.end));
+  }
+
+  // Scroll just enough to bring the cursor's row into view
+  _scrollScreenToCursor() {
+    const rows = this._layoutScreen();
+    const index = rows.findIndex((row) => this._cursorInRow(row));
+    if (index < 0) return;
+    const visible = this._screenVisibleRows();
+    if (index < this._screenScroll) this._screenScroll = index;
+    else if (index >= this._screenScroll + visible) this._screenScroll = index - visible + 1;
+  }
+
+  /**
+   * Scroll the laptop screen by a number of rows (negative is up).
+   * Returns false when already at that end, so the caller can let the
+   * page scroll instead.
+   */
+  scrollScreen(rows) {
+    if (!this._isTextApp(this._screenApp)) return false;
+    const max = Math.max(0, this._layoutScreen().length - this._screenVisibleRows());
+    const next = Math.max(0, Math.min(max, this._screenScroll + rows));
+    if (next === this._screenScroll) return false;
+    this._screenScroll = next;
+    this._renderScreen();
+    return true;
+  }
+
+  // Drop the oldest lines once the scrollback is full, and move the
+  // selection anchor and the undo/redo snapshots up with the text
+  _trimScreenBuffer() {
+    const excess = this._screenLines.length - SCREEN_MAX_LINES;
+    if (excess <= 0) return;
+    this._screenLines.splice(0, excess);
+    this._screenCursorLine = Math.max(0, this._screenCursorLine - excess);
+    const anchor = this._screenAnchor;
+    if (anchor) {
+      this._screenAnchor = anchor.line >= excess ? { line: anchor.line - excess, col: anchor.col } : { line: 0, col: 0 };
+    }
+    for (const state of this._screenUndoStack.concat(this._screenRedoStack)) {
+      state.lines.splice(0, Math.min(excess, state.lines.length - 1));
+      if (state.line >= excess) {
+        state.line -= excess;
       } else {
-        ctx.fillStyle = '#aaa';
-        ctx.font = '12px monospace';
+        state.line = 0;
+        state.col = 0;
       }
+      state.line = Math.min(state.line, state.lines.length - 1);
+      state.col = Math.min(state.col, state.lines[state.line].length);
+    }
+  }
+
+  /**
+   * Replace a text app's buffer (the terminal's by default) and park the
+   * cursor at the end of the last line (the prompt, when there is one).
+   */
+  setScreenLines(lines, app = 'terminal') {
+    this._withScreenDoc(app, () => {
+      this._screenLines = lines.length ? lines.slice() : [''];
+      this._screenCursorLine = this._screenLines.length - 1;
+      this._screenCursorCol = this._screenLines[this._screenCursorLine].length;
+      this._screenAnchor = null;
+      this._trimScreenBuffer();
+      this._screenReportedText = this._screenLines.join('\n');
+      this._scrollScreenToCursor();
+    });
+    this._renderScreen();
+  }
+
+  // Photo paths and audio files for the photos and music apps
+  setScreenMedia({ photos = [], tracks = [] }) {
+    this._screenMedia = { photos: photos.slice(), tracks: tracks.slice() };
+    this._screenPhoto = Math.min(this._screenPhoto, Math.max(0, photos.length - 1));
+    this._screenTrack = Math.min(this._screenTrack, Math.max(0, tracks.length - 1));
+    this._renderScreen();
+  }
+
+  // ── Laptop screen windows ──
+
+  _newScreenDoc(lines, grammar) {
+    const last = lines.length - 1;
+    return {
+      lines, cursorLine: last, cursorCol: lines[last].length, anchor: null, scroll: 0,
+      undo: [], redo: [], lastEdit: null, reported: lines.join('\n'), grammar,
+    };
+  }
+
+  _isTextApp(id) {
+    return SCREEN_APPS.some((app) => app.id === id && app.grammar);
+  }
+
+  // Park the editor fields in a text app's doc, or load them back from it
+  _storeScreenDoc(app) {
+    this._screenDocs[app] = {
+      lines: this._screenLines, cursorLine: this._screenCursorLine, cursorCol: this._screenCursorCol,
+      anchor: this._screenAnchor, scroll: this._screenScroll, undo: this._screenUndoStack,
+      redo: this._screenRedoStack, lastEdit: this._screenLastEdit,
+      reported: this._screenReportedText, grammar: this.screenGrammar,
+    };
+  }
+
+  _loadScreenDoc(app) {
+    const doc = this._screenDocs[app];
+    this._screenLines = doc.lines;
+    this._screenCursorLine = doc.cursorLine;
+    this._screenCursorCol = doc.cursorCol;
+    this._screenAnchor = doc.anchor;
+    this._screenScroll = doc.scroll;
+    this._screenUndoStack = doc.undo;
+    this._screenRedoStack = doc.redo;
+    this._screenLastEdit = doc.lastEdit;
+    this._screenReportedText = doc.reported;
+    this.screenGrammar = doc.grammar;
+  }
+
+  // Run fn with another text app's buffer loaded, without focusing it
+  _withScreenDoc(app, fn) {
+    if (app === this._screenTextApp) return fn();
+    const current = this._screenTextApp;
+    this._storeScreenDoc(current);
+    this._loadScreenDoc(app);
+    try {
+      return fn();
+    } finally {
+      this._storeScreenDoc(app);
+      this._loadScreenDoc(current);
+    }
+  }
 
-      ctx.fillText(line, pad, y);
+  /**
+   * Bring an app's window to the front, opening it if needed.
+   */
+  focusScreenApp(id) {
+    if (!SCREEN_APPS.some((app) => app.id === id)) return;
+    if (this._isTextApp(id) && id !== this._screenTextApp) {
+      this._screenComposition = null;
+      this._storeScreenDoc(this._screenTextApp);
+      this._loadScreenDoc(id);
+      this._screenTextApp = id;
+    }
+    this._screenApp = id;
+    this._screenWindows = [id, ...this._screenWindows.filter((w) => w !== id)];
+    this._renderScreen();
+  }
 
-      // Draw cursor on the active line when editing
-      if (this._screenEditing && i === this._screenCursorLine && this._screenCursorVisible) {
-        const beforeCursor = line.substring(0, this._screenCursorCol);
-        const cursorX = pad + ctx.measureText(beforeCursor).width;
-        ctx.fillStyle = '#c49a6c';
-        ctx.fillRect(cursorX, y - 11, 7, 14);
+  // Red light: close the front window. The terminal always stays open.
+  closeScreenApp() {
+    const id = this._screenApp;
+    if (id === 'terminal') return;
+    this._screenWindows = this._screenWindows.filter((w) => w !== id);
+    // No music window, no music
+    if (!this._screenWindows.includes('music')) this._stopScreenAudio();
+    this.focusScreenApp(this._screenWindows[0]);
+  }
+
+  // Yellow light / Alt+`: send the front window to the back
+  minimizeScreenApp() {
+    if (this._screenWindows.length < 2) return;
+    const [front, ...rest] = this._screenWindows;
+    this._screenWindows = [...rest, front];
+    this.focusScreenApp(rest[0]);
+  }
+
+  /**
+   * A click at canvas pixel (x, y): title bar buttons and tabs, then the
+   * focused app. In a text app it follows a link under the pointer or
+   * moves the cursor there (extending the selection with `extend`).
+   */
+  clickScreen(x, y, extend = false) {
+    if (y < SCREEN_TITLE_BAR) {
+      const hit = this._screenTitleHits.find((h) => x >= h.x && x < h.x + h.w);
+      if (!hit) return;
+      if (hit.action === 'close') this.closeScreenApp();
+      else if (hit.action === 'minimize') this.minimizeScreenApp();
+      else this.focusScreenApp(hit.action);
+    } else if (this._screenApp === 'photos') {
+      this._stepPhoto(x < SCREEN_LAYOUT.size / 2 ? -1 : 1);
+    } else if (this._screenApp === 'music') {
+      const i = Math.floor((y - 31) / 22);
+      if (i >= 0 && i < this._screenMedia.tracks.length) {
+        this._screenTrack = i;
+        this._playScreenTrack(i);
+      }
+    } else {
+      const pos = this._screenTextPosAt(x, y);
+      const url = this._screenLinkAt(pos);
+      if (url && !extend && this.onScreenLink) {
+        this.onScreenLink(url);
+      } else {
+        this._screenMoveTo(pos.line, pos.col, extend);
+        this._screenCursorVisible = true;
       }
     }
+    if (this._screenEditing) this._focusScreenTextInput();
+    this._renderScreen();
+  }
 
-    // Update texture if it exists
-    if (this._screenTexture) {
-      this._screenTexture.needsUpdate = true;
+  /**
+   * The text position under canvas pixel (x, y) in the focused text app:
+   * { line, col } of the nearest caret spot and `under`, the column of the
+   * character the pointer is actually over (null past the end of the row).
+   */
+  _screenTextPosAt(x, y) {
+    const { firstBaseline, lineHeight, pad } = SCREEN_LAYOUT;
+    const rows = this._layoutScreen();
+    const index = this._screenScroll + Math.floor((y - (firstBaseline - 13)) / lineHeight);
+    const row = rows[Math.max(0, Math.min(rows.length - 1, index))];
+    const text = this._screenDisplayLine(row.line);
+    // A row that wraps hands its last caret spot to the next row
+    const lastCol = row.last ? row.end : Math.max(row.start, row.end - 1);
+
+    const ctx = this._screenCtx;
+    ctx.font = '12px monospace';
+    let col = row.start;
+    let under = null;
+    for (let c = row.start; c < row.end; c++) {
+      const left = pad + ctx.measureText(text.substring(row.start, c)).width;
+      const right = pad + ctx.measureText(text.substring(row.start, c + 1)).width;
+      if (x >= left && x < right) under = c;
+      if (x >= (left + right) / 2) col = c + 1;
     }
+    col = Math.min(col, lastCol, this._screenLines[row.line].length);
+    if (index < 0 || index >= rows.length) under = null;
+    return { line: row.line, col, under };
+  }
+
+  // The URL a link token under the pointer points to, or null
+  _screenLinkAt(pos) {
+    if (pos.under === null) return null;
+    const tokens = ScreenHighlighter.highlight(this._screenLines, this.screenGrammar)[pos.line];
+    const token = tokens.find((t) => t.type === 'link' && pos.under >= t.start && pos.under < t.end);
+    if (!token) return null;
+    const text = this._screenLines[pos.line].substring(token.start, token.end);
+    const markdown = /^\[[^\]]*\]\(([^)]+)\)$/.exec(text);
+    if (markdown) return markdown[1];
+    return /^[^\s@]+@[^\s@]+$/.test(text) ? 'mailto:' + text : text;
+  }
+
+  /**
+   * The cursor style for canvas pixel (x, y) on the laptop screen:
+   * 'pointer' over tabs, buttons, links and the media apps, else 'text'.
+   */
+  screenCursorAt(x, y) {
+    if (y < SCREEN_TITLE_BAR) {
+      return this._screenTitleHits.some((h) => x >= h.x && x < h.x + h.w) ? 'pointer' : 'default';
+    }
+    if (!this._isTextApp(this._screenApp)) return 'pointer';
+    return this._screenLinkAt(this._screenTextPosAt(x, y)) ? 'pointer' : 'text';
+  }
+
+  // Keys for the photos and music windows
+  _handleAppKey(e) {
+    const key = e.key;
+    if (this._screenApp === 'photos') {
+      if (key === 'ArrowLeft' || key === 'ArrowUp') this._stepPhoto(-1);
+      else if (key === 'ArrowRight' || key === 'ArrowDown' || key === ' ') this._stepPhoto(1);
+      else return false;
+    } else {
+      const count = this._screenMedia.tracks.length;
+      if (!count) return false;
+      if (key === 'ArrowUp') this._screenTrack = (this._screenTrack + count - 1) % count;
+      else if (key === 'ArrowDown') this._screenTrack = (this._screenTrack + 1) % count;
+      else if (key === 'Enter' || key === ' ') this._playScreenTrack(this._screenTrack);
+      else return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  _stepPhoto(delta) {
+    const count = this._screenMedia.photos.length;
+    if (count) this._screenPhoto = (this._screenPhoto + delta + count) % count;
+  }
+
+  // Play a track, or pause/resume it if it's the one already loaded
+  _playScreenTrack(i) {
+    const src = this._screenMedia.tracks[i];
+    if (!src) return;
+    const audio = this._screenAudio;
+    if (audio && this._screenAudioSrc === src) {
+      if (audio.paused) audio.play().catch(() => {});
+      else audio.pause();
+      return;
+    }
+
+    this._stopScreenAudio();
+    const next = new Audio(src);
+    const redraw = () => { if (this._screenApp === 'music') this._renderScreen(); };
+    ['play', 'pause', 'timeupdate', 'ended'].forEach((type) => next.addEventListener(type, redraw));
+    this._screenAudio = next;
+    this._screenAudioSrc = src;
+    next.play().catch(() => {});
+  }
+
+  _stopScreenAudio() {
+    if (this._screenAudio) this._screenAudio.pause();
+    this._screenAudio = null;
+    this._screenAudioSrc = null;
   }
 
   enableScreenEditing() {
@@ -435,56 +1193,399 @@ class CabinScene {
     // Listen for keyboard input
     this._screenKeyHandler = (e) => {
       if (!this._screenEditing) return;
+      // Keys that belong to an IME composition are handled by the hidden input
+      if (e.isComposing || e.keyCode === 229) return;
+      if (this._handleScreenKey(e) === false) return;
+      this._afterScreenEdit();
+    };
 
-      const line = this._screenCursorLine;
-      const col = this._screenCursorCol;
+    window.addEventListener('keydown', this._screenKeyHandler);
+    this._focusScreenTextInput();
+    this._renderScreen();
+  }
 
-      if (e.key === 'Backspace') {
-        e.preventDefault();
-        if (col > 0) {
-          this._screenLines[line] = this._screenLines[line].substring(0, col - 1) + this._screenLines[line].substring(col);
-          this._screenCursorCol--;
-        } else if (line > 0) {
-          // Merge with previous line
-          this._screenCursorCol = this._screenLines[line - 1].length;
-          this._screenLines[line - 1] += this._screenLines[line];
-          this._screenLines.splice(line, 1);
-          this._screenCursorLine--;
-        }
-      } else if (e.key === 'Enter') {
-        e.preventDefault();
-        const before = this._screenLines[line].substring(0, col);
-        const after = this._screenLines[line].substring(col);
-        this._screenLines[line] = before;
-        this._screenLines.splice(line + 1, 0, after);
-        this._screenCursorLine++;
-        this._screenCursorCol = 0;
-      } else if (e.key === 'ArrowLeft') {
-        if (col > 0) this._screenCursorCol--;
-      } else if (e.key === 'ArrowRight') {
-        if (col < this._screenLines[line].length) this._screenCursorCol++;
-      } else if (e.key === 'ArrowUp') {
-        if (line > 0) {
-          this._screenCursorLine--;
-          this._screenCursorCol = Math.min(this._screenCursorCol, this._screenLines[this._screenCursorLine].length);
-        }
-      } else if (e.key === 'ArrowDown') {
-        if (line < this._screenLines.length - 1) {
-          this._screenCursorLine++;
-          this._screenCursorCol = Math.min(this._screenCursorCol, this._screenLines[this._screenCursorLine].length);
+  /**
+   * Apply one keydown to the screen buffer. Returns false for keys it
+   * leaves to the browser (so nothing needs redrawing).
+   */
+  _handleScreenKey(e) {
+    // Alt+1..4 opens an app, Alt+` cycles windows (e.code, since Option+digit
+    // types a symbol on macOS)
+    if (e.altKey && /^Digit[1-9]$/.test(e.code)) {
+      const app = SCREEN_APPS[Number(e.code.slice(5)) - 1];
+      if (!app) return false;
+      this.focusScreenApp(app.id);
+      e.preventDefault();
+      return true;
+    }
+    if (e.altKey && e.code === 'Backquote') {
+      this.minimizeScreenApp();
+      e.preventDefault();
+      return true;
+    }
+    if (!this._isTextApp(this._screenApp)) return this._handleAppKey(e);
+
+    const key = e.key;
+    const extend = e.shiftKey;
+    const line = this._screenCursorLine;
+    const col = this._screenCursorCol;
+    const text = this._screenLines[line];
+    const lastLine = this._screenLines.length - 1;
+    // Word jumps: Ctrl on Windows/Linux, Option on macOS; Cmd+arrow is Home/End
+    const word = e.ctrlKey || e.altKey;
+
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && key.length === 1) {
+      const k = key.toLowerCase();
+      if (k === 'z' && !extend) this._screenUndo();
+      else if ((k === 'z' && extend) || k === 'y') this._screenRedo();
+      else if (k === 'a') {
+        this._screenAnchor = { line: 0, col: 0 };
+        this._screenCursorLine = lastLine;
+        this._screenCursorCol = this._screenLines[lastLine].length;
+      } else if (k === 'c' || k === 'x') {
+        const selected = this._screenSelectedText();
+        if (!selected) return false;
+        this._writeClipboard(selected);
+        if (k === 'x') {
+          this._screenSnapshot('cut');
+          this._screenDeleteSelection();
         }
-      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-        e.preventDefault();
-        this._screenLines[line] = this._screenLines[line].substring(0, col) + e.key + this._screenLines[line].substring(col);
-        this._screenCursorCol++;
+      } else if (k === 'v') {
+        // The hidden input's paste event covers the usual case
+        if (document.activeElement !== this._screenTextInput) this._readClipboard();
+        return false;
+      } else {
+        return false; // leave other shortcuts to the browser
       }
+      e.preventDefault();
+      return true;
+    }
 
-      this._screenCursorVisible = true;
-      this._renderScreen();
-    };
+    switch (key) {
+      case 'ArrowLeft':
+        if (e.metaKey) this._screenMoveTo(line, 0, extend);
+        else if (word) this._screenMoveTo(...this._screenWordLeft(), extend);
+        else if (this._screenSelection() && !extend) this._screenCollapseSelection(true);
+        else if (col > 0) this._screenMoveTo(line, col - 1, extend);
+        else if (line > 0) this._screenMoveTo(line - 1, this._screenLines[line - 1].length, extend);
+        break;
+      case 'ArrowRight':
+        if (e.metaKey) this._screenMoveTo(line, text.length, extend);
+        else if (word) this._screenMoveTo(...this._screenWordRight(), extend);
+        else if (this._screenSelection() && !extend) this._screenCollapseSelection(false);
+        else if (col < text.length) this._screenMoveTo(line, col + 1, extend);
+        else if (line < lastLine) this._screenMoveTo(line + 1, 0, extend);
+        break;
+      case 'ArrowUp':
+        if (line > 0) this._screenMoveTo(line - 1, Math.min(col, this._screenLines[line - 1].length), extend);
+        break;
+      case 'ArrowDown':
+        if (line < lastLine) this._screenMoveTo(line + 1, Math.min(col, this._screenLines[line + 1].length), extend);
+        break;
+      case 'Home':
+        if (e.ctrlKey || e.metaKey) this._screenMoveTo(0, 0, extend);
+        // On a prompt, Home stops after "> " first, like a shell
+        else this._screenMoveTo(line, /^> /.test(text) && col !== 2 ? 2 : 0, extend);
+        break;
+      case 'End':
+        if (e.ctrlKey || e.metaKey) this._screenMoveTo(lastLine, this._screenLines[lastLine].length, extend);
+        else this._screenMoveTo(line, text.length, extend);
+        break;
+      case 'Backspace':
+      case 'Delete': {
+        this._screenSnapshot('delete');
+        if (this._screenDeleteSelection()) break;
+        const back = key === 'Backspace';
+        let from;
+        if (word) from = back ? this._screenWordLeft() : this._screenWordRight();
+        else if (back) from = col > 0 ? [line, col - 1] : line > 0 ? [line - 1, this._screenLines[line - 1].length] : null;
+        else from = col < text.length ? [line, col + 1] : line < lastLine ? [line + 1, 0] : null;
+        if (from) this._screenDeleteRange(back ? { line: from[0], col: from[1] } : { line, col },
+          back ? { line, col } : { line: from[0], col: from[1] });
+        break;
+      }
+      case 'Enter':
+        this._screenSnapshot('enter');
+        this._screenDeleteSelection();
+        if (this._screenTextApp === 'terminal' && this.onScreenCommand &&
+          /^>/.test(this._screenLines[this._screenCursorLine])) {
+          this._runScreenCommand(this._screenCursorLine);
+        } else {
+          this._screenInsert('\n');
+        }
+        break;
+      case 'Tab':
+        this._screenSnapshot('type');
+        this._screenInsert('  ');
+        break;
+      default:
+        if (key.length !== 1 || e.ctrlKey || e.metaKey) return false;
+        this._screenSnapshot('type');
+        this._screenInsert(key);
+    }
+    e.preventDefault();
+    return true;
+  }
 
-    window.addEventListener('keydown', this._screenKeyHandler);
+  // ── Laptop screen editing: positions and selection ──
+
+  _screenComparePos(a, b) {
+    return a.line !== b.line ? a.line - b.line : a.col - b.col;
+  }
+
+  /**
+   * The selected range as ordered { start, end } positions, or null.
+   */
+  _screenSelection() {
+    const anchor = this._screenAnchor;
+    if (!anchor) return null;
+    const cursor = { line: this._screenCursorLine, col: this._screenCursorCol };
+    const order = this._screenComparePos(anchor, cursor);
+    if (order === 0) return null;
+    return order < 0 ? { start: anchor, end: cursor } : { start: cursor, end: anchor };
+  }
+
+  _screenSelectedText() {
+    const sel = this._screenSelection();
+    if (!sel) return '';
+    const lines = this._screenLines.slice(sel.start.line, sel.end.line + 1);
+    lines[lines.length - 1] = lines[lines.length - 1].substring(0, sel.end.col);
+    lines[0] = lines[0].substring(sel.start.col);
+    return lines.join('\n');
+  }
+
+  // Move the cursor; with `extend` the selection grows from where it was
+  _screenMoveTo(line, col, extend) {
+    if (extend && !this._screenAnchor) {
+      this._screenAnchor = { line: this._screenCursorLine, col: this._screenCursorCol };
+    } else if (!extend) {
+      this._screenAnchor = null;
+    }
+    this._screenCursorLine = line;
+    this._screenCursorCol = col;
+    this._screenLastEdit = null;
+  }
+
+  // Plain Left/Right over a selection lands on its start/end
+  _screenCollapseSelection(toStart) {
+    const sel = this._screenSelection();
+    const pos = toStart ? sel.start : sel.end;
+    this._screenMoveTo(pos.line, pos.col, false);
+  }
+
+  // Start of the previous word, crossing line breaks: [line, col]
+  _screenWordLeft() {
+    let line = this._screenCursorLine;
+    let col = this._screenCursorCol;
+    if (col === 0 && line > 0) return [line - 1, this._screenLines[line - 1].length];
+    const text = this._screenLines[line];
+    while (col > 0 && !SCREEN_WORD_CHAR.test(text[col - 1])) col--;
+    while (col > 0 && SCREEN_WORD_CHAR.test(text[col - 1])) col--;
+    return [line, col];
+  }
+
+  // End of the next word, crossing line breaks: [line, col]
+  _screenWordRight() {
+    const line = this._screenCursorLine;
+    let col = this._screenCursorCol;
+    const text = this._screenLines[line];
+    if (col === text.length && line < this._screenLines.length - 1) return [line + 1, 0];
+    while (col < text.length && !SCREEN_WORD_CHAR.test(text[col])) col++;
+    while (col < text.length && SCREEN_WORD_CHAR.test(text[col])) col++;
+    return [line, col];
+  }
+
+  // ── Laptop screen editing: changes ──
+
+  // Remove the text between two ordered positions and put the cursor there
+  _screenDeleteRange(start, end) {
+    const lines = this._screenLines;
+    const tail = lines[end.line].substring(end.col);
+    lines.splice(start.line, end.line - start.line + 1, lines[start.line].substring(0, start.col) + tail);
+    this._screenCursorLine = start.line;
+    this._screenCursorCol = start.col;
+    this._screenAnchor = null;
+  }
+
+  _screenDeleteSelection() {
+    const sel = this._screenSelection();
+    this._screenAnchor = null;
+    if (!sel) return false;
+    this._screenDeleteRange(sel.start, sel.end);
+    return true;
+  }
+
+  // Insert text (which may span lines) at the cursor, replacing any selection
+  _screenInsert(text) {
+    this._screenDeleteSelection();
+    const line = this._screenCursorLine;
+    const col = this._screenCursorCol;
+    const current = this._screenLines[line];
+    const parts = text.replace(/\r\n?/g, '\n').split('\n');
+    const last = parts.length - 1;
+    const lastCol = parts[last].length + (last === 0 ? col : 0);
+
+    parts[0] = current.substring(0, col) + parts[0];
+    parts[last] += current.substring(col);
+    this._screenLines.splice(line, 1, ...parts);
+    this._screenCursorLine = line + last;
+    this._screenCursorCol = lastCol;
+  }
+
+  // ── Laptop screen editing: undo / redo ──
+
+  /**
+   * Save the buffer before an edit. A run of typed characters is one
+   * undo step; any cursor move or other edit starts a new one.
+   */
+  _screenSnapshot(kind) {
+    if (kind === 'type' && this._screenLastEdit === 'type') return;
+    this._screenLastEdit = kind;
+    this._screenUndoStack.push(this._screenState());
+    if (this._screenUndoStack.length > 100) this._screenUndoStack.shift();
+    this._screenRedoStack.length = 0;
+  }
+
+  _screenState() {
+    return { lines: this._screenLines.slice(), line: this._screenCursorLine, col: this._screenCursorCol };
+  }
+
+  _restoreScreenState(state) {
+    this._screenLines = state.lines;
+    this._screenCursorLine = state.line;
+    this._screenCursorCol = state.col;
+    this._screenAnchor = null;
+    this._screenLastEdit = null;
+  }
+
+  _screenUndo() {
+    if (!this._screenUndoStack.length) return;
+    this._screenRedoStack.push(this._screenState());
+    this._restoreScreenState(this._screenUndoStack.pop());
+  }
+
+  _screenRedo() {
+    if (!this._screenRedoStack.length) return;
+    this._screenUndoStack.push(this._screenState());
+    this._restoreScreenState(this._screenRedoStack.pop());
+  }
+
+  // ── Laptop screen editing: clipboard and IME ──
+
+  _writeClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).catch(() => {});
+    }
+  }
+
+  // Fallback paste when the hidden input doesn't have focus
+  _readClipboard() {
+    if (!navigator.clipboard || !navigator.clipboard.readText) return;
+    navigator.clipboard.readText().then((text) => this._pasteIntoScreen(text)).catch(() => {});
+  }
+
+  _pasteIntoScreen(text) {
+    if (!text || !this._screenEditing) return;
+    this._screenSnapshot('paste');
+    this._screenInsert(text);
+    this._afterScreenEdit();
+  }
+
+  _afterScreenEdit() {
+    this._trimScreenBuffer();
+    this._scrollScreenToCursor();
+    this._screenCursorVisible = true;
     this._renderScreen();
+    this._notifyScreenChange();
+  }
+
+  // Tell onScreenChange about edits; cursor moves alone don't count
+  _notifyScreenChange() {
+    const text = this._screenLines.join('\n');
+    if (text === this._screenReportedText) return;
+    this._screenReportedText = text;
+    if (this.onScreenChange) this.onScreenChange(this._screenLines.slice(), this._screenTextApp);
+  }
+
+  getScreenLines(app = 'terminal') {
+    return this._withScreenDoc(app, () => this._screenLines.slice());
+  }
+
+  /**
+   * A visually hidden textarea that holds focus while the screen is being
+   * edited. Keydown still drives editing; the textarea is what receives
+   * paste events and IME composition (e.g. Japanese input), which a bare
+   * keydown listener can't see.
+   */
+  _focusScreenTextInput() {
+    let input = this._screenTextInput;
+    if (!input) {
+      input = document.createElement('textarea');
+      input.className = 'screen-text-input';
+      input.setAttribute('aria-label', 'laptop screen');
+      input.setAttribute('autocapitalize', 'off');
+      input.autocomplete = 'off';
+      input.spellcheck = false;
+      document.body.appendChild(input);
+
+      input.addEventListener('compositionstart', () => {
+        this._screenSnapshot('compose');
+        this._screenDeleteSelection();
+        this._screenComposition = '';
+      });
+      input.addEventListener('compositionupdate', (e) => {
+        this._screenComposition = e.data || '';
+        this._renderScreen();
+      });
+      input.addEventListener('compositionend', (e) => {
+        this._screenComposition = null;
+        input.value = '';
+        if (e.data) this._screenInsert(e.data);
+        this._afterScreenEdit();
+      });
+      // Soft keyboards that skip keydown still fire input
+      input.addEventListener('input', () => {
+        if (this._screenComposition !== null || !input.value) return;
+        this._screenSnapshot('type');
+        this._screenInsert(input.value);
+        input.value = '';
+        this._afterScreenEdit();
+      });
+      input.addEventListener('paste', (e) => {
+        e.preventDefault();
+        this._pasteIntoScreen(e.clipboardData.getData('text/plain'));
+      });
+      this._screenTextInput = input;
+    }
+
+    // Sit over the laptop so the IME candidate window opens next to it
+    const rect = this.getLaptopScreenRect();
+    if (rect) {
+      input.style.left = (rect.left + rect.width / 2) + 'px';
+      input.style.top = (rect.top + rect.height / 2) + 'px';
+    }
+    input.focus({ preventScroll: true });
+  }
+
+  /**
+   * Run the command on a "> " line and insert its output below it,
+   * followed by a fresh prompt for the cursor.
+   */
+  _runScreenCommand(line) {
+    const cmd = this._screenLines[line].replace(/^>\s?/, '').trim();
+    const result = cmd ? this.onScreenCommand(cmd) : { lines: [], cleared: false };
+
+    let prompt;
+    if (result.cleared) {
+      this._screenLines = [];
+      prompt = 0;
+    } else {
+      this._screenLines.splice(line + 1, 0, ...result.lines);
+      prompt = line + 1 + result.lines.length;
+    }
+    this._screenLines.splice(prompt, 0, '> ');
+    this._screenCursorLine = prompt;
+    this._screenCursorCol = 2;
   }
 
   disableScreenEditing() {
@@ -498,6 +1599,12 @@ class CabinScene {
       window.removeEventListener('keydown', this._screenKeyHandler);
       this._screenKeyHandler = null;
     }
+    if (this._screenTextInput) this._screenTextInput.blur();
+    // Leaving the desk pauses the music, like the TV off camera; the track
+    // stays loaded to resume from the music window
+    if (this._screenAudio) this._screenAudio.pause();
+    this._screenAnchor = null;
+    this._screenComposition = null;
     this._screenCursorVisible = false;
     this._renderScreen();
   }
@@ -514,6 +1621,9 @@ class CabinScene {
         break;
       }
     }
+    this._screenAnchor = null;
+    this._focusScreenTextInput();
+    this._scrollScreenToCursor();
     this._screenCursorVisible = true;
     this._renderScreen();
   }
@@ -885,6 +1995,7 @@ class CabinScene {
     backWall.castShadow = true;
     backWall.receiveShadow = true;
     this.scene.add(backWall);
+    this._addCollider(backWall);
 
     // Left wall
     const sideGeo = new THREE.BoxGeometry(wallThick, cabinH, cabinD);
@@ -893,6 +2004,7 @@ class CabinScene {
     leftWall.castShadow = true;
     leftWall.receiveShadow = true;
     this.scene.add(leftWall);
+    this._addCollider(leftWall);
 
     // Right wall - with window gap
     // Right wall bottom section
@@ -901,6 +2013,7 @@ class CabinScene {
     rwBottom.position.set(cabinCenterX + cabinW / 2, 0.6, cabinCenterZ);
     rwBottom.castShadow = true;
     this.scene.add(rwBottom);
+    this._addCollider(rwBottom); // the window above is glass
 
     // Right wall top section
     const rwTopGeo = new THREE.BoxGeometry(wallThick, 1.0, cabinD);
@@ -908,6 +2021,7 @@ class CabinScene {
     rwTop.position.set(cabinCenterX + cabinW / 2, cabinH - 0.5, cabinCenterZ);
     rwTop.castShadow = true;
     this.scene.add(rwTop);
+    this.occluders.push(rwTop);
 
     // Right wall side segments (around window)
     const rwSide1Geo = new THREE.BoxGeometry(wallThick, 1.3, 2.5);
@@ -918,6 +2032,7 @@ class CabinScene {
     const rwSide2 = new THREE.Mesh(rwSide1Geo, wallMat);
     rwSide2.position.set(cabinCenterX + cabinW / 2, 1.85, cabinCenterZ + 2.75);
     this.scene.add(rwSide2);
+    this.occluders.push(rwSide1, rwSide2);
 
     // Window glass on right wall (slightly emissive for light effect)
     const windowMat = new THREE.MeshStandardMaterial({
@@ -951,6 +2066,7 @@ class CabinScene {
     );
     frontLeft.castShadow = true;
     this.scene.add(frontLeft);
+    this._addCollider(frontLeft);
 
     // Right part of front wall
     const frontRight = new THREE.Mesh(flGeo, wallMat);
@@ -961,6 +2077,7 @@ class CabinScene {
     );
     frontRight.castShadow = true;
     this.scene.add(frontRight);
+    this._addCollider(frontRight);
 
     // Top part above door
     const topDoorGeo = new THREE.BoxGeometry(doorW, cabinH - doorH, wallThick);
@@ -971,6 +2088,7 @@ class CabinScene {
       cabinCenterZ + cabinD / 2
     );
     this.scene.add(topDoor);
+    this.occluders.push(topDoor);
 
     // Porch step
     const porchMat = new THREE.MeshStandardMaterial({
@@ -997,6 +2115,11 @@ class CabinScene {
     this.cabinDoor.position.set(cabinCenterX, 1.2, cabinCenterZ + cabinD / 2 + 0.02);
     this.cabinDoor.castShadow = true;
     this.scene.add(this.cabinDoor);
+    this.registerInteractive(this.cabinDoor, {
+      id: 'door',
+      hoverText: 'slide the door',
+      onClick: () => { this._doorHeldOpen = !this._doorHeldOpen; },
+    });
     this._doorClosedX = cabinCenterX;
     this._doorOpenX = cabinCenterX + 1.6;
 
@@ -1058,6 +2181,7 @@ class CabinScene {
     rightRoof.castShadow = true;
     rightRoof.receiveShadow = true;
     this.scene.add(rightRoof);
+    this.occluders.push(leftRoof, rightRoof);
 
     // Ridge beam
     const ridgeMat = new THREE.MeshStandardMaterial({
@@ -1068,6 +2192,7 @@ class CabinScene {
     const ridge = new THREE.Mesh(ridgeGeo, ridgeMat);
     ridge.position.set(cx, roofPeakY, cz);
     this.scene.add(ridge);
+    this.occluders.push(ridge);
 
     // Front and back gable triangles - darker to blend with night sky
     const gableMat = new THREE.MeshStandardMaterial({
@@ -1087,6 +2212,7 @@ class CabinScene {
       const gable = new THREE.Mesh(gableGeo, gableMat);
       gable.position.set(cx, 0, cz + zOff);
       this.scene.add(gable);
+      this.occluders.push(gable);
     }
   }
 
@@ -1134,6 +2260,7 @@ class CabinScene {
     deskTop.castShadow = true;
     deskTop.receiveShadow = true;
     this.scene.add(deskTop);
+    this._addCollider(deskTop);
     this.deskPosition = deskTop.position.clone();
 
     // Desk legs
@@ -1182,6 +2309,14 @@ class CabinScene {
     shade.rotation.x = Math.PI;
     this.scene.add(shade);
 
+    const toggleLamp = () => {
+      this.lampOn = !this.lampOn;
+      shadeMat.emissiveIntensity = this.lampOn ? 0.3 : 0;
+    };
+    [lampBase, lampArm, shade].forEach((mesh) => {
+      this.registerInteractive(mesh, { id: 'lamp', hoverText: 'flip the lamp', onClick: toggleLamp });
+    });
+
     // ── Coffee mug on desk ────────────────────────────────────────────
     const mugMat = new THREE.MeshStandardMaterial({
       color: 0xccccbb,
@@ -1278,10 +2413,10 @@ class CabinScene {
     this.laptopScreenMesh = laptopScreen;
     this.laptopScreenMat = laptopScreenMat;
 
-    // Mark laptop as interactive (clickable -> terminal)
-    laptopBase.userData.interactive = 'laptop';
-    laptopScreen.userData.interactive = 'laptop';
-    this.interactiveObjects.push(laptopBase, laptopScreen);
+    // Mark laptop as interactive (UIController adds the click)
+    laptopScreen.userData.screenSize = { width: SCREEN_LAYOUT.size, height: SCREEN_LAYOUT.size };
+    this.registerInteractive(laptopBase, { id: 'laptop' });
+    this.registerInteractive(laptopScreen, { id: 'laptop' });
 
     // ── Bookshelf on back wall ────────────────────────────────────────
     this._buildBookshelf(cb.minX + 3.2, 0, cb.minZ + 0.3);
@@ -1377,17 +2512,21 @@ class CabinScene {
     antennaR.rotation.z = -0.3;
     this.scene.add(antennaR);
 
-    // TV screen with video texture
+    // TV screen: video channels play through a video texture, the static
+    // and ASCII channels draw into a canvas. tuneTV() picks between them.
     const video = document.createElement('video');
-    video.src = 'public/kodan.mp4';
     video.loop = true;
     video.muted = true;
     video.playsInline = true;
-    video.play().catch(() => {});
     const videoTex = new THREE.VideoTexture(video);
     videoTex.minFilter = THREE.LinearFilter;
     videoTex.magFilter = THREE.LinearFilter;
 
+    const channelCanvas = document.createElement('canvas');
+    channelCanvas.width = TV_CANVAS.width;
+    channelCanvas.height = TV_CANVAS.height;
+    const channelTex = new THREE.CanvasTexture(channelCanvas);
+
     const tvScreenMat = new THREE.MeshStandardMaterial({
       map: videoTex,
       emissive: 0xffffff,
@@ -1403,11 +2542,45 @@ class CabinScene {
 
     this.tvVideo = video;
     this.tvScreen = tvScreen;
+    this._tv = {
+      videoTex,
+      canvasTex: channelTex,
+      ctx: channelCanvas.getContext('2d'),
+      noise: null, // ImageData reused by the static channel
+      channels: TV_CHANNELS.slice(),
+      channel: 0,
+      volume: 0.5,
+      muted: true, // until someone turns it up; browsers block loud autoplay
+      inView: true,
+      switchingUntil: 0, // a burst of static between channels
+      osdUntil: 0,
+      hover: null, // { x, y } in overlay pixels while the pointer is on it
+      lastDraw: 0,
+    };
 
-    // Mark TV parts as interactive (clickable -> kodan link)
-    tvBody.userData.interactive = 'tv';
-    tvScreen.userData.interactive = 'tv';
-    this.interactiveObjects.push(tvBody, tvScreen);
+    // Overlay just in front of the picture: hover affordances and the OSD,
+    // drawn by _drawTVOverlay()
+    const tvHoverCanvas = document.createElement('canvas');
+    tvHoverCanvas.width = TV_CANVAS.width;
+    tvHoverCanvas.height = TV_CANVAS.height;
+    const tvHoverTex = new THREE.CanvasTexture(tvHoverCanvas);
+    const tvHover = new THREE.Mesh(tvScreenGeo, new THREE.MeshBasicMaterial({
+      map: tvHoverTex,
+      transparent: true,
+      depthWrite: false,
+    }));
+    tvHover.position.set(tvX, 0.92, tvZ + 0.227);
+    tvHover.visible = false;
+    this.scene.add(tvHover);
+    this._tvHover = { ctx: tvHoverCanvas.getContext('2d'), texture: tvHoverTex, mesh: tvHover };
+
+    // Mark TV parts as interactive: the glow follows the pointer over the
+    // picture (UIController adds the click)
+    tvScreen.userData.screenSize = { width: tvHoverCanvas.width, height: tvHoverCanvas.height };
+    const tvHoverHandler = (hit) => this.hoverTV(hit ? hit.x : null, hit ? hit.y : null);
+    this.registerInteractive(tvBody, { id: 'tv', onHover: tvHoverHandler });
+    this.registerInteractive(tvScreen, { id: 'tv' });
+    this.tuneTV(0, { quiet: true });
 
     // Subtle blue point light near TV screen
     const tvLight = new THREE.PointLight(0x4466aa, 0.6, 3.0);
@@ -1744,6 +2917,14 @@ class CabinScene {
         const book = new THREE.Mesh(bookGeo, bookMat);
         book.position.set(bx + bw / 2, shelfY + bh / 2, z);
         this.scene.add(book);
+
+        const index = this.books.length;
+        this.books.push({ mesh: book, baseZ: z, pulled: false, entry: null });
+        this.registerInteractive(book, {
+          id: 'book-' + index,
+          hoverText: 'a book',
+          onClick: () => this.pullBook(index),
+        });
         bx += bw + 0.01;
         if (bx > x + shelfW - 0.1) break;
       }
@@ -1835,10 +3016,12 @@ class CabinScene {
       emissiveIntensity: 0.4,
       roughness: 0.8,
       metalness: 0.0,
+      transparent: true, // pale by day
     });
     const moon = new THREE.Mesh(moonGeo, moonMat);
     moon.position.set(20, 40, -15);
     this.scene.add(moon);
+    this._moon = moon;
 
     // Moon glow halo
     const glowGeo = new THREE.SphereGeometry(4, 16, 16);
@@ -1851,6 +3034,13 @@ class CabinScene {
     const glow = new THREE.Mesh(glowGeo, glowMat);
     glow.position.copy(moon.position);
     this.scene.add(glow);
+
+    this._moonGlowMat = glowMat;
+    this.registerInteractive(moon, {
+      id: 'moon',
+      hoverText: 'the moon',
+      onClick: () => { this._moonPulse = 1; },
+    });
   }
 
   // ── Shooting Stars ────────────────────────────────────────────────
@@ -1918,14 +3108,17 @@ class CabinScene {
     // Twinkle stars
     if (this._starsMat) {
       const twinkle = 0.7 + Math.sin(elapsed * 1.5) * 0.15 + Math.sin(elapsed * 3.7) * 0.1;
-      this._starsMat.opacity = Math.min(1.0, twinkle);
+      const shown = this.sky ? this.sky.stars : 1;
+      this._starsMat.opacity = Math.min(1.0, twinkle) * shown;
+      this._starsMesh.visible = shown > 0.01;
       this._starsMat.size = 0.15 + Math.sin(elapsed * 2.0) * 0.04;
     }
 
     if (!this.shootingStars) return;
 
     this._shootingStarTimer += delta;
-    if (this._shootingStarTimer >= this._shootingStarInterval && this.shootingStars.length < this._maxShootingStars) {
+    const dark = !this.sky || this.sky.stars > 0.5;
+    if (dark && this._shootingStarTimer >= this._shootingStarInterval && this.shootingStars.length < this._maxShootingStars) {
       this._spawnShootingStar();
       this._shootingStarTimer = 0;
       this._shootingStarInterval = 0.8 + Math.random() * 1.5;
@@ -1957,7 +3150,7 @@ class CabinScene {
 
   _createLighting() {
     // Dim ambient (cool night blue)
-    const ambient = new THREE.AmbientLight(0x0a0e1a, 0.3);
+    const ambient = new THREE.AmbientLight(SKY.night.ambient, 0.3);
     this.scene.add(ambient);
 
     // Moonlight - blue-white directional shining down
@@ -1978,7 +3171,7 @@ class CabinScene {
     this.scene.add(moonlight);
 
     // Hemisphere for subtle fill (sky blue, ground dark)
-    const hemi = new THREE.HemisphereLight(0x1a2244, 0x040608, 0.2);
+    const hemi = new THREE.HemisphereLight(SKY.night.hemiSky, SKY.night.hemiGround, 0.2);
     this.scene.add(hemi);
 
     // Warm window glow visible from outside
@@ -2045,6 +3238,9 @@ class CabinScene {
     windowLight.position.set(cb.maxX - 0.5, 2.0, (cb.minZ + cb.maxZ) / 2);
     this.scene.add(windowLight);
 
+    // What the sky drives as the day goes by (see _updateSky)
+    this._skyLights = { ambient, moonlight, hemi, windowGlow, windowLight, windowPlaneMat: lightPlaneMat, rayMat };
+
     // Overhead warm fill for cabin interior
     const overheadLight = new THREE.PointLight(0xffcc88, 0.6, 10, 1.5);
     overheadLight.position.set(0, 3.2, -2);
@@ -2393,6 +3589,11 @@ class CabinScene {
     this.brainGroup.visible = false;
     this.brainFadeAlpha = 0;
     this.scene.add(this.brainGroup);
+    this.registerInteractive(this.brainGroup, {
+      id: 'brain',
+      hoverText: 'neurons firing',
+      onClick: () => { this._brainSpin = 4; },
+    });
   }
 
   _updateBrain(elapsed, delta) {
@@ -2410,8 +3611,10 @@ class CabinScene {
       }
     }
 
-    // Rotate slowly
-    this.brainGroup.rotation.y = elapsed * 0.3;
+    // Rotate slowly, plus whatever spin a click gave it
+    this._brainSpinAngle += this._brainSpin * delta;
+    this._brainSpin = Math.max(0, this._brainSpin - delta * 2);
+    this.brainGroup.rotation.y = elapsed * 0.3 + this._brainSpinAngle;
 
     // Gentle float
     if (this.deskPosition) {
@@ -2427,6 +3630,274 @@ class CabinScene {
   }
 
 
+  // ── Sky & Weather ─────────────────────────────────────────────────
+
+  // Rain streaks and snowflakes share one set of drop positions; each
+  // fades in and out on its own as the weather changes
+  _createPrecipitation() {
+    const count = this.performanceTier === 'low' ? 300
+      : this.performanceTier === 'mid' ? 700
+      : 1400;
+    const { halfWidth, height } = PRECIPITATION;
+
+    const drops = new Float32Array(count * 3);
+    const phases = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      drops[i * 3] = (Math.random() * 2 - 1) * halfWidth;
+      drops[i * 3 + 1] = Math.random() * height;
+      drops[i * 3 + 2] = (Math.random() * 2 - 1) * halfWidth;
+      phases[i] = Math.random() * Math.PI * 2;
+    }
+
+    const rainGeo = new THREE.BufferGeometry();
+    rainGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+    const rain = new THREE.LineSegments(rainGeo, new THREE.LineBasicMaterial({
+      color: 0x9aa8b8,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+    }));
+
+    const snowGeo = new THREE.BufferGeometry();
+    snowGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    const snow = new THREE.Points(snowGeo, new THREE.PointsMaterial({
+      map: this._createParticleTexture(),
+      color: 0xffffff,
+      size: 0.09,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      sizeAttenuation: true,
+    }));
+
+    [rain, snow].forEach((mesh) => {
+      mesh.visible = false;
+      mesh.frustumCulled = false; // the drops follow the camera
+      this.scene.add(mesh);
+    });
+    this.precipitation = { count, drops, phases, rain, snow };
+  }
+
+  /**
+   * Show the sky at `hours` (0-24, e.g. 21.5 for 21:30) instead of the
+   * visitor's clock; null goes back to the clock.
+   */
+  setTimeOfDay(hours) {
+    this.timeOverride = hours === null || hours === undefined ? null : ((hours % 24) + 24) % 24;
+  }
+
+  // { hours, override } — override is whether setTimeOfDay() is in charge
+  getTimeOfDay() {
+    if (this.timeOverride !== null) return { hours: this.timeOverride, override: true };
+    const now = new Date();
+    return { hours: now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600, override: false };
+  }
+
+  // Loop through [{ state, minutes }, ...], the same for every visitor at
+  // the same moment
+  setWeatherScript(script) {
+    const valid = (script || []).filter((step) => isWeather(step.state) && step.minutes > 0);
+    this.weatherScript = valid.length ? valid : [{ state: 'clear', minutes: 60 }];
+  }
+
+  // Force 'clear', 'rain', 'snow' or 'fog'; null goes back to the script
+  setWeather(state) {
+    if (state !== null && !isWeather(state)) throw new Error('unknown weather: ' + state);
+    this.weatherOverride = state;
+  }
+
+  getWeather() {
+    if (this.weatherOverride) return this.weatherOverride;
+    const total = this.weatherScript.reduce((sum, step) => sum + step.minutes, 0);
+    let minute = (Date.now() / 60000) % total;
+    for (const step of this.weatherScript) {
+      if (minute < step.minutes) return step.state;
+      minute -= step.minutes;
+    }
+    return this.weatherScript[0].state;
+  }
+
+  _updateSky(delta, elapsed) {
+    const lights = this._skyLights;
+    if (!lights) return;
+
+    // The sun rises at 6, peaks at noon and sets at 18
+    const sunAngle = ((this.getTimeOfDay().hours - 6) / 12) * Math.PI;
+    const sunHeight = Math.sin(sunAngle);
+    const weather = WEATHER[this.getWeather()];
+    const target = {
+      day: THREE.MathUtils.smoothstep(sunHeight, -0.12, 0.2),
+      dusk: Math.max(0, 1 - Math.abs(sunHeight) / 0.25),
+      overcast: weather.overcast,
+      fog: weather.fog,
+      rain: weather.falling === 'rain' ? 1 : 0,
+      snow: weather.falling === 'snow' ? 1 : 0,
+    };
+
+    // Ease toward the targets so previews and weather changes fade in
+    if (!this.sky) this.sky = Object.assign({}, target);
+    const sky = this.sky;
+    const ease = Math.min(1, delta * 1.5);
+    Object.keys(target).forEach((key) => { sky[key] += (target[key] - sky[key]) * ease; });
+    sky.stars = (1 - sky.day) * (1 - sky.overcast);
+
+    if (!this._skyColor) this._skyColor = new THREE.Color();
+    const mix = (key, out) => {
+      out.setHex(SKY.night[key])
+        .lerp(this._skyColor.setHex(SKY.day[key]), sky.day)
+        .lerp(this._skyColor.setHex(SKY.dusk[key]), sky.dusk * 0.7)
+        .lerp(this._skyColor.setHex(SKY.overcast), sky.overcast * 0.6 * (0.3 + sky.day * 0.7));
+      return out;
+    };
+    mix('background', this.scene.background);
+    if (this.scene.fog) {
+      mix('fog', this.scene.fog.color);
+      this.scene.fog.density = (0.016 - this._indoorFactor * 0.006) * sky.fog;
+    }
+    mix('ambient', lights.ambient.color);
+    mix('hemiSky', lights.hemi.color);
+    mix('hemiGround', lights.hemi.groundColor);
+    lights.ambient.intensity = 0.3 + sky.day * 0.3;
+    lights.hemi.intensity = 0.2 + sky.day * 0.5;
+
+    // One directional light: the sun by day, the moon by night. It fades
+    // out as it swaps over at dawn and dusk so shadows don't jump.
+    const sun = lights.moonlight;
+    if (sky.day > 0.5) {
+      sun.position.set(Math.cos(sunAngle) * 30, Math.max(0.1, sunHeight) * 30, 5);
+    } else if (this._moon) {
+      sun.position.copy(this._moon.position);
+    }
+    sun.color.setHex(0x6688cc).lerp(this._skyColor.setHex(0xfff0dd), sky.day);
+    sun.intensity = (0.45 + sky.day * 0.65) * Math.abs(sky.day - 0.5) * 2 * (1 - sky.overcast * 0.6);
+
+    if (this._moon) this._moon.material.opacity = (1 - sky.day * 0.85) * (1 - sky.overcast * 0.8);
+
+    // The cabin's warm windows matter less by daylight, and daylight
+    // comes in through them instead of the cool night fill
+    const night = 1 - sky.day;
+    lights.windowGlow.intensity = 0.3 + night * 0.5;
+    lights.windowPlaneMat.opacity = 0.12 + night * 0.28;
+    lights.windowPlaneMat.emissiveIntensity = 0.2 + night * 0.4;
+    lights.rayMat.opacity = 0.02 + night * 0.06;
+    lights.windowLight.color.setHex(0x5566aa).lerp(this._skyColor.setHex(0xfff4e0), sky.day);
+    lights.windowLight.intensity = 0.3 + sky.day * 0.5 * (1 - sky.overcast * 0.5);
+
+    this._updatePrecipitation(delta, elapsed);
+  }
+
+  _updatePrecipitation(delta, elapsed) {
+    const p = this.precipitation;
+    if (!p) return;
+    const { rain, snow } = this.sky;
+    p.rain.visible = rain > 0.01;
+    p.snow.visible = snow > 0.01;
+    if (!p.rain.visible && !p.snow.visible) return;
+
+    // Rain drowns out snow's slower fall while both are fading
+    const speed = rain >= snow ? PRECIPITATION.rainSpeed : PRECIPITATION.snowSpeed;
+    const { halfWidth, height } = PRECIPITATION;
+    const cam = this.camera.position;
+    const cb = this.cabinBounds;
+    const wrap = (v, center) => center + ((((v - center) + halfWidth) % (2 * halfWidth)) + 2 * halfWidth) % (2 * halfWidth) - halfWidth;
+
+    const drops = p.drops;
+    const rainPos = p.rain.geometry.attributes.position.array;
+    const snowPos = p.snow.geometry.attributes.position.array;
+    for (let i = 0; i < p.count; i++) {
+      const j = i * 3;
+      let x = drops[j];
+      let y = drops[j + 1] - speed * delta;
+      let z = drops[j + 2];
+      if (speed === PRECIPITATION.snowSpeed) {
+        x += Math.sin(elapsed * 0.8 + p.phases[i]) * 0.3 * delta;
+        z += Math.cos(elapsed * 0.6 + p.phases[i]) * 0.3 * delta;
+      }
+      if (y < 0) y += height;
+      x = wrap(x, cam.x);
+      z = wrap(z, cam.z);
+      drops[j] = x;
+      drops[j + 1] = y;
+      drops[j + 2] = z;
+
+      // Nothing falls through the roof
+      const indoors = x > cb.minX && x < cb.maxX && z > cb.minZ && z < cb.maxZ && y < cb.height + 1;
+      const shownY = indoors ? -50 : y;
+      rainPos[i * 6] = x;
+      rainPos[i * 6 + 1] = shownY;
+      rainPos[i * 6 + 2] = z;
+      rainPos[i * 6 + 3] = x + 0.04;
+      rainPos[i * 6 + 4] = shownY + 0.35;
+      rainPos[i * 6 + 5] = z;
+      snowPos[j] = x;
+      snowPos[j + 1] = shownY;
+      snowPos[j + 2] = z;
+    }
+    p.rain.geometry.attributes.position.needsUpdate = true;
+    p.snow.geometry.attributes.position.needsUpdate = true;
+    p.rain.material.opacity = rain * 0.45;
+    p.snow.material.opacity = snow * 0.9;
+  }
+
+  // ── Post-processing ─────────────────────────────────────────────────
+
+  _createEffects() {
+    const settings = POST_FX[this.performanceTier];
+    if (!settings || !this.renderer || !window.SceneEffects) return;
+    try {
+      this.effects = new window.SceneEffects(this.renderer, settings);
+    } catch (err) {
+      console.warn('[CabinScene] Post-processing unavailable:', err);
+      return;
+    }
+    this.effects.setSize(window.innerWidth, window.innerHeight);
+    // The canvas's CSS blur stands in only when there's no real depth of field
+    this.renderer.domElement.classList.add('has-effects');
+  }
+
+  /**
+   * Depth of field, 0-1 each: aperture is how soft whatever's out of focus
+   * gets; pull racks focus from what the camera is looking at toward the
+   * lens, softening the whole scene (behind the page's text).
+   */
+  setDepthOfField(aperture, pull = 0) {
+    this.focus.aperture = THREE.MathUtils.clamp(aperture, 0, 1);
+    this.focus.pull = THREE.MathUtils.clamp(pull, 0, 1);
+  }
+
+  /**
+   * Draw the scene as characters from AsciiOverlay's glyph set (its block
+   * font and matrix characters), blended 0-1 over the normal picture.
+   * Returns false when there's no post-processing to do it in.
+   */
+  setAscii(enabled, blend = 1) {
+    if (!this.effects || !window.AsciiOverlay) return false;
+    if (enabled && !this.effects.glyphs) {
+      const fontSize = Math.round(ASCII_FONT_SIZE * this.renderer.getPixelRatio());
+      this.effects.setGlyphs(new window.AsciiOverlay().createGlyphAtlas({ fontSize }));
+    }
+    this.effects.ascii.blend = enabled ? THREE.MathUtils.clamp(blend, 0, 1) : 0;
+    return true;
+  }
+
+  // { available, enabled, blend }
+  getAscii() {
+    const blend = this.effects ? this.effects.ascii.blend : 0;
+    return { available: !!this.effects, enabled: blend > 0, blend };
+  }
+
+  _updateFocus(delta) {
+    // Sharp while walking or looking over the camera path
+    const sharp = this.explore || this.viewCamera;
+    const ease = Math.min(1, delta * 4);
+    this._focus.aperture += ((sharp ? 0 : this.focus.aperture) - this._focus.aperture) * ease;
+    this._focus.pull += ((sharp ? 0 : this.focus.pull) - this._focus.pull) * ease;
+
+    const lookDistance = this.camera.position.distanceTo(this.cameraCurrentLookAt);
+    this.effects.dof.focus = THREE.MathUtils.lerp(lookDistance, 0.3, this._focus.pull);
+    this.effects.dof.aperture = this._focus.aperture;
+  }
+
   // ── Animation ───────────────────────────────────────────────────────
 
   _animate() {
@@ -2444,16 +3915,24 @@ class CabinScene {
     const elapsed = this.clock.getElapsedTime();
 
     this._updateCamera(delta, elapsed);
+    this._updateSky(delta, elapsed);
     this._updateFireflies(elapsed);
     this._updateDustParticles(delta);
     this._updateTreeSway(elapsed);
     this._updateLampFlicker(elapsed);
     this._updateBrain(elapsed, delta);
     this._updateTV(elapsed);
+    this._updateInteractives(delta);
     this._updateShootingStars(delta, elapsed);
 
     if (this.renderer) {
-      this.renderer.render(this.scene, this.camera);
+      const camera = this.viewCamera || this.camera;
+      if (this.effects) {
+        this._updateFocus(delta);
+        this.effects.render(this.scene, camera, elapsed);
+      } else {
+        this.renderer.render(this.scene, camera);
+      }
     }
   }
 
@@ -2462,10 +3941,7 @@ class CabinScene {
     if (this.tvLight) {
       this.tvLight.intensity = 0.4 + Math.sin(elapsed * 3.7) * 0.1 + Math.sin(elapsed * 7.3) * 0.05;
     }
-    // Update video texture if it exists
-    if (this.tvScreen && this.tvScreen.material.map && this.tvScreen.material.map.isVideoTexture) {
-      this.tvScreen.material.map.needsUpdate = true;
-    }
+    this._updateTVPicture(elapsed);
     // Subtle pendant light sway
     if (this.pendantLight) {
       this.pendantLight.intensity = 0.5 + Math.sin(elapsed * 1.2) * 0.05;
@@ -2473,33 +3949,15 @@ class CabinScene {
   }
 
   _updateCamera(delta, elapsed) {
-    const t = this.scrollPercent;
-    const kf = this.cameraKeyframes;
-
-    // Find the two keyframes we're between
-    let k0 = kf[0];
-    let k1 = kf[1];
-    for (let i = 0; i < kf.length - 1; i++) {
-      if (t >= kf[i].t && t <= kf[i + 1].t) {
-        k0 = kf[i];
-        k1 = kf[i + 1];
-        break;
-      }
-    }
-    if (t >= kf[kf.length - 1].t) {
-      k0 = kf[kf.length - 2];
-      k1 = kf[kf.length - 1];
+    if (this.explore) {
+      this._updateExplore(delta);
+      return;
     }
+    const t = this.scrollPercent;
 
-    // Interpolate within segment
-    const segLen = k1.t - k0.t;
-    const localT = segLen > 0 ? THREE.MathUtils.clamp((t - k0.t) / segLen, 0, 1) : 0;
-
-    // Smooth step for nicer easing
-    const st = localT * localT * (3 - 2 * localT);
-
-    const targetPos = new THREE.Vector3().lerpVectors(k0.pos, k1.pos, st);
-    const targetLook = new THREE.Vector3().lerpVectors(k0.look, k1.look, st);
+    // Where the rails put the camera at this scroll position
+    const targetPos = this.cameraRails.pos.getPoint(t);
+    const targetLook = this.cameraRails.look.getPoint(t);
 
     // Mouse parallax — reduce when zoomed into laptop
     const parallaxScale = t > 0.75 ? Math.max(0, 1 - (t - 0.75) / 0.25) : 1;
@@ -2531,19 +3989,23 @@ class CabinScene {
       this.cameraCurrentLookAt.z
     );
 
-    // Adjust fog based on indoor/outdoor
-    if (this.scene.fog) {
-      const indoorFactor = THREE.MathUtils.smoothstep(t, 0.3, 0.5);
-      this.scene.fog.density = 0.016 - indoorFactor * 0.006;
-    }
+    // Thinner fog indoors, and the door slides open on the way in
+    this._setIndoorFactor(THREE.MathUtils.smoothstep(t, 0.3, 0.5));
+    this._setDoorOpen(THREE.MathUtils.smoothstep(t, 0.15, 0.35));
+  }
 
-    // Slide cabin door open as approaching
-    if (this.cabinDoor) {
-      const doorProgress = THREE.MathUtils.smoothstep(t, 0.15, 0.35);
-      const doorX = THREE.MathUtils.lerp(this._doorClosedX, this._doorOpenX, doorProgress);
-      this.cabinDoor.position.x = doorX;
-      if (this.doorHandle) this.doorHandle.position.x = doorX + 0.55;
-    }
+  // 0 outdoors - 1 indoors; _updateSky() folds it into the fog
+  _setIndoorFactor(indoor) {
+    this._indoorFactor = indoor;
+  }
+
+  // 0 closed - 1 open; held open by a click regardless
+  _setDoorOpen(progress) {
+    if (!this.cabinDoor) return;
+    const doorProgress = this._doorHeldOpen ? 1 : progress;
+    const doorX = THREE.MathUtils.lerp(this._doorClosedX, this._doorOpenX, doorProgress);
+    this.cabinDoor.position.x = doorX;
+    if (this.doorHandle) this.doorHandle.position.x = doorX + 0.55;
   }
 
   _updateFireflies(elapsed) {
@@ -2561,8 +4023,11 @@ class CabinScene {
     this.fireflyParticles.geometry.attributes.position.needsUpdate = true;
 
     // Blink effect via opacity
+    // Out at night, and not in the rain or snow
     const avgBlink = Math.sin(elapsed * 0.7) * 0.3 + 0.6;
-    this.fireflyParticles.material.opacity = THREE.MathUtils.clamp(avgBlink, 0.2, 0.9);
+    const out = this.sky ? (1 - this.sky.day) * (1 - Math.min(1, this.sky.rain + this.sky.snow)) : 1;
+    this.fireflyParticles.material.opacity = THREE.MathUtils.clamp(avgBlink, 0.2, 0.9) * out;
+    this.fireflyParticles.visible = out > 0.01;
   }
 
   _updateDustParticles(delta) {
@@ -2624,7 +4089,7 @@ class CabinScene {
       Math.sin(elapsed * 13.7) * 0.02 +
       Math.sin(elapsed * 23.1) * 0.01;
 
-    this.lampLight.intensity = this.lampFlickerBase + flicker;
+    this.lampLight.intensity = this.lampOn ? this.lampFlickerBase + flicker : 0;
 
     // Candle flicker — more organic
     if (this._candleLight) {
@@ -2652,9 +4117,80 @@ class CabinScene {
     this.mouse.y = THREE.MathUtils.clamp(normalizedY, -1, 1);
   }
 
+  /**
+   * Make a mesh (or a group, through its children) clickable. Several
+   * meshes can share an id to act as one object; options passed again for
+   * an id replace the earlier ones, so UIController can add app-level
+   * actions to objects the scene registered.
+   *
+   *   hoverText  tooltip while the pointer is over it
+   *   onClick    (hit, event) => void
+   *   onHover    (hit) => void, with hit null when the pointer leaves
+   */
+  registerInteractive(mesh, { id, hoverText, onClick, onHover } = {}) {
+    mesh.userData.interactive = id;
+    if (!this.interactiveObjects.includes(mesh)) this.interactiveObjects.push(mesh);
+
+    const entry = this.interactives[id] || (this.interactives[id] = { id, hoverText: null, onClick: null, onHover: null });
+    if (hoverText !== undefined) entry.hoverText = hoverText;
+    if (onClick !== undefined) entry.onClick = onClick;
+    if (onHover !== undefined) entry.onHover = onHover;
+    return entry;
+  }
+
+  /**
+   * Put reading-list entries ({ id, title, author, color }) on the shelf,
+   * one per book from the bottom shelf up. Books beyond the list stay
+   * anonymous.
+   */
+  setReadingList(list) {
+    this.books.forEach((book, i) => {
+      const entry = list[i] || null;
+      book.entry = entry;
+      if (entry && entry.color) book.mesh.material.color.set(entry.color);
+      this.registerInteractive(book.mesh, {
+        id: 'book-' + i,
+        hoverText: entry ? entry.title + ' — ' + entry.author : 'a book',
+      });
+    });
+  }
+
+  // Slide a book out (and any other back in); a second click puts it back
+  pullBook(index) {
+    const book = this.books[index];
+    if (!book) return;
+    const pulling = !book.pulled;
+    this.shelveBooks();
+    book.pulled = pulling;
+    if (this.onBookOpen) this.onBookOpen(pulling ? book.entry : null);
+  }
+
+  // Push every book back into line
+  shelveBooks() {
+    this.books.forEach((book) => { book.pulled = false; });
+  }
+
+  // Click follow-through: pulled books, the moon's glow
+  _updateInteractives(delta) {
+    const ease = Math.min(1, delta * 8);
+    for (const book of this.books) {
+      // Out towards the room, top tipped forward as if hooked by a finger
+      const target = book.baseZ + (book.pulled ? 0.14 : 0);
+      book.mesh.position.z += (target - book.mesh.position.z) * ease;
+      book.mesh.rotation.x += ((book.pulled ? 0.12 : 0) - book.mesh.rotation.x) * ease;
+    }
+    if (this._moonGlowMat) {
+      this._moonPulse = Math.max(0, this._moonPulse - delta * 0.8);
+      this._moonGlowMat.opacity = (0.06 + this._moonPulse * 0.2) * (this.sky ? this.sky.stars : 1);
+    }
+  }
+
   /**
    * Raycast from screen coordinates to find interactive objects.
-   * Returns the userData.interactive string ('tv', 'laptop') or null.
+   * Returns { id, object, uv, x, y } or null, where id is the registered id
+   * ('tv', 'laptop', 'lamp', ...). For meshes with a userData.screenSize,
+   * x and y are the hit in that canvas's pixels (null off the front face,
+   * e.g. the lid's edge), otherwise they're null too.
    */
   getInteractiveAt(clientX, clientY) {
     if (!this.camera || !this.renderer) return null;
@@ -2662,14 +4198,385 @@ class CabinScene {
     this.mouseNDC.x = ((clientX - rect.left) / rect.width) * 2 - 1;
     this.mouseNDC.y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
-    this.raycaster.setFromCamera(this.mouseNDC, this.camera);
-    const hits = this.raycaster.intersectObjects(this.interactiveObjects, false);
-    if (hits.length > 0 && hits[0].object.userData.interactive) {
-      return hits[0].object.userData.interactive;
+    this.raycaster.setFromCamera(this.mouseNDC, this.viewCamera || this.camera);
+
+    // The raycaster doesn't skip hidden objects: leave out hidden roots
+    // (the faded-out brain's many voxels) before intersecting, and hidden
+    // parts of shown ones after. Walls, roof and desk go in too, so only
+    // the nearest visible hit counts and nothing is clickable through them
+    const shown = this.interactiveObjects.filter((root) => {
+      for (let o = root; o; o = o.parent) if (!o.visible) return false;
+      return true;
+    });
+    const hits = this.raycaster.intersectObjects(shown.concat(this.occluders), true);
+
+    let hit = null;
+    let owner = null;
+    for (const h of hits) {
+      let visible = true;
+      let found = null;
+      for (let o = h.object; o; o = o.parent) {
+        if (!o.visible) visible = false;
+        if (!found && o.userData.interactive) found = o;
+      }
+      if (!visible) continue;
+      if (!found) return null;
+      hit = h;
+      owner = found;
+      break;
+    }
+    if (!hit) return null;
+
+    const size = hit.object.userData.screenSize;
+    const onScreen = size && hit.uv && hit.face && hit.face.normal.z > 0;
+    return {
+      id: owner.userData.interactive,
+      object: owner,
+      uv: hit.uv || null,
+      // Canvas textures are flipped: v runs bottom to top
+      x: onScreen ? hit.uv.x * size.width : null,
+      y: onScreen ? (1 - hit.uv.y) * size.height : null,
+    };
+  }
+
+  /**
+   * Replace the TV's channel list. Stays on the same channel if the new
+   * list still has its id, else tunes to the first.
+   */
+  setTVChannels(list) {
+    const tv = this._tv;
+    if (!tv || !list || !list.length) return;
+    const current = tv.channels[tv.channel];
+    tv.channels = list.slice();
+    const index = tv.channels.findIndex((channel) => channel.id === current.id);
+    this.tuneTV(Math.max(0, index), { quiet: true });
+  }
+
+  // { channels, channel, number (1-based), volume (0-1), muted }
+  getTVState() {
+    const tv = this._tv;
+    if (!tv) return null;
+    return {
+      channels: tv.channels.slice(),
+      channel: tv.channels[tv.channel],
+      number: tv.channel + 1,
+      volume: tv.volume,
+      muted: tv.muted,
+      inView: !!tv.inView, // on camera as of the last frame
+    };
+  }
+
+  /**
+   * Switch to a channel by index, wrapping past either end. A moment of
+   * static covers the switch and the OSD shows where it landed, unless
+   * `quiet` (setting up, not a visitor pressing buttons).
+   */
+  tuneTV(index, { quiet = false } = {}) {
+    const tv = this._tv;
+    if (!tv) return;
+    const count = tv.channels.length;
+    tv.channel = ((index % count) + count) % count;
+    const channel = tv.channels[tv.channel];
+
+    const video = this.tvVideo;
+    if (channel.type === 'video') {
+      if (channel.src && tv.videoSrc !== channel.src) {
+        tv.videoSrc = channel.src;
+        video.src = channel.src;
+      }
+      if (tv.inView) video.play().catch(() => {});
+    } else {
+      video.pause();
+    }
+
+    if (!quiet) {
+      tv.switchingUntil = performance.now() + 250;
+      this._showTVOsd();
+    }
+    this._notifyTV();
+  }
+
+  channelUp() {
+    if (this._tv) this.tuneTV(this._tv.channel + 1);
+  }
+
+  channelDown() {
+    if (this._tv) this.tuneTV(this._tv.channel - 1);
+  }
+
+  // 0-1. Any volume above zero also unmutes.
+  setTVVolume(volume) {
+    const tv = this._tv;
+    if (!tv) return;
+    tv.volume = Math.min(1, Math.max(0, volume));
+    tv.muted = tv.volume === 0;
+    this._applyTVVolume();
+  }
+
+  toggleTVMute() {
+    const tv = this._tv;
+    if (!tv) return;
+    tv.muted = !tv.muted;
+    if (!tv.muted && tv.volume === 0) tv.volume = 0.5;
+    this._applyTVVolume();
+  }
+
+  _applyTVVolume() {
+    this.tvVideo.volume = this._tv.volume;
+    this.tvVideo.muted = this._tv.muted;
+    this._showTVOsd();
+    this._notifyTV();
+  }
+
+  _notifyTV() {
+    if (this.onTVChange) this.onTVChange(this.getTVState());
+  }
+
+  /**
+   * A click on the TV at (x, y) in overlay pixels, or anywhere on the set
+   * when they're null. The screen's left and right edges step channels;
+   * the middle returns the channel's url for the caller to open, if it has
+   * one. Everywhere else goes up a channel.
+   */
+  clickTV(x, y) {
+    const tv = this._tv;
+    if (!tv) return null;
+    const zone = x === null || x === undefined ? null : this._tvZone(x);
+    if (zone === 'down') {
+      this.channelDown();
+      return null;
     }
+    const channel = tv.channels[tv.channel];
+    if (zone === 'middle' && channel.url) return channel.url;
+    this.channelUp();
     return null;
   }
 
+  // Which part of the picture overlay pixel x is over
+  _tvZone(x) {
+    if (x < TV_CANVAS.width * 0.25) return 'down';
+    if (x > TV_CANVAS.width * 0.75) return 'up';
+    return 'middle';
+  }
+
+  /**
+   * Light up the TV under the pointer: a glow following (x, y) in the
+   * overlay's pixels, channel arrows at the edges and a play badge on
+   * channels that link somewhere. Pass null to clear it.
+   */
+  hoverTV(x, y) {
+    if (!this._tv) return;
+    this._tv.hover = x === null || x === undefined ? null : { x, y };
+    this.tvScreen.material.emissiveIntensity = this._tv.hover ? 0.7 : 0.5;
+    this._drawTVOverlay();
+  }
+
+  _showTVOsd() {
+    this._tv.osdUntil = performance.now() + 2500;
+    this._drawTVOverlay();
+  }
+
+  // Hover affordances and the OSD share one transparent layer
+  _drawTVOverlay() {
+    const overlay = this._tvHover;
+    const tv = this._tv;
+    if (!overlay || !tv) return;
+    const osd = performance.now() < tv.osdUntil;
+    if (!tv.hover && !osd) {
+      overlay.mesh.visible = false;
+      return;
+    }
+
+    const ctx = overlay.ctx;
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (tv.hover) this._drawTVHover(ctx, tv.hover.x, tv.hover.y);
+    if (osd) this._drawTVOsd(ctx);
+
+    overlay.texture.needsUpdate = true;
+    overlay.mesh.visible = true;
+  }
+
+  _drawTVHover(ctx, x, y) {
+    const { width, height } = ctx.canvas;
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, 70);
+    glow.addColorStop(0, 'rgba(255,255,255,0.22)');
+    glow.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, width, height);
+
+    // Channel arrows, brighter on the side under the pointer
+    const zone = this._tvZone(x);
+    [['down', 16, -1], ['up', width - 16, 1]].forEach(([side, ax, dir]) => {
+      ctx.fillStyle = zone === side ? 'rgba(255,255,255,0.9)' : 'rgba(255,255,255,0.35)';
+      ctx.beginPath();
+      ctx.moveTo(ax - dir * 8, height / 2 - 12);
+      ctx.lineTo(ax + dir * 4, height / 2);
+      ctx.lineTo(ax - dir * 8, height / 2 + 12);
+      ctx.fill();
+    });
+
+    if (!this._tv.channels[this._tv.channel].url) return;
+    ctx.fillStyle = zone === 'middle' ? 'rgba(0,0,0,0.55)' : 'rgba(0,0,0,0.35)';
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, 24, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.beginPath();
+    ctx.moveTo(width / 2 - 8, height / 2 - 12);
+    ctx.lineTo(width / 2 + 12, height / 2);
+    ctx.lineTo(width / 2 - 8, height / 2 + 12);
+    ctx.fill();
+  }
+
+  // Channel number and name top right, volume along the bottom
+  _drawTVOsd(ctx) {
+    const tv = this._tv;
+    const { width, height } = ctx.canvas;
+    const channel = tv.channels[tv.channel];
+    ctx.save();
+    ctx.shadowColor = 'rgba(0,0,0,0.8)';
+    ctx.shadowBlur = 4;
+    ctx.fillStyle = TV_PHOSPHOR;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 26px monospace';
+    ctx.fillText(String(tv.channel + 1).padStart(2, '0'), width - 14, 10);
+    ctx.font = '12px monospace';
+    ctx.fillText(channel.name || channel.id, width - 14, 40);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const y = height - 20;
+    if (tv.muted) {
+      ctx.fillText('MUTE', 14, y);
+    } else {
+      ctx.fillText('VOL', 14, y);
+      const steps = 16;
+      const lit = Math.round(tv.volume * steps);
+      for (let i = 0; i < steps; i++) {
+        ctx.globalAlpha = i < lit ? 1 : 0.25;
+        ctx.fillRect(46 + i * 11, y - 5, 8, 10);
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Keep the picture moving: switch the screen's texture to match the
+   * channel and draw the canvas channels. Off camera, or with the tab
+   * hidden, the video pauses and nothing draws.
+   */
+  _updateTVPicture(elapsed) {
+    const tv = this._tv;
+    if (!tv || !this.camera) return;
+    const now = performance.now();
+    const channel = tv.channels[tv.channel];
+    const video = this.tvVideo;
+
+    const inView = !document.hidden && this._tvInFrustum();
+    if (inView !== tv.inView) {
+      tv.inView = inView;
+      if (channel.type === 'video') {
+        if (inView) video.play().catch(() => {});
+        else video.pause();
+      }
+    }
+    if (tv.osdUntil && now >= tv.osdUntil) {
+      tv.osdUntil = 0;
+      this._drawTVOverlay();
+    }
+    if (!inView) return;
+
+    // Static while switching, and while a video has no frame to show
+    let type = now < tv.switchingUntil ? 'static' : channel.type;
+    if (type === 'video' && video.readyState < 2) type = 'static';
+
+    const texture = type === 'video' ? tv.videoTex : tv.canvasTex;
+    const material = this.tvScreen.material;
+    if (material.map !== texture) {
+      material.map = texture;
+      material.emissiveMap = texture;
+    }
+
+    if (type === 'video') {
+      tv.videoTex.needsUpdate = true;
+      return;
+    }
+    if (type === 'static') {
+      this._drawTVStatic(elapsed, channel.type === 'video' && video.error ? 'NO SIGNAL' : channel.caption);
+    } else {
+      this._drawTVAscii(elapsed, channel.caption);
+    }
+    tv.canvasTex.needsUpdate = true;
+  }
+
+  _tvInFrustum() {
+    this._tvFrustumMatrix.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+    this._tvFrustum.setFromProjectionMatrix(this._tvFrustumMatrix);
+    return this._tvFrustum.intersectsObject(this.tvScreen);
+  }
+
+  _drawTVStatic(elapsed, caption) {
+    const tv = this._tv;
+    const ctx = tv.ctx;
+    const { width, height } = ctx.canvas;
+    if (!tv.noise) tv.noise = ctx.createImageData(width, height);
+    const data = tv.noise.data;
+    for (let i = 0; i < data.length; i += 4) {
+      const v = Math.random() * 255;
+      data[i] = v;
+      data[i + 1] = v;
+      data[i + 2] = v;
+      data[i + 3] = 255;
+    }
+    ctx.putImageData(tv.noise, 0, 0);
+
+    // A slow rolling band, like a badly tuned set
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fillRect(0, (elapsed * 40) % (height + 24) - 24, width, 24);
+    if (caption) this._drawTVCaption(ctx, caption);
+  }
+
+  // A plasma of characters, phosphor green on black
+  _drawTVAscii(elapsed, caption) {
+    const ctx = this._tv.ctx;
+    const { width, height } = ctx.canvas;
+    const cols = 32;
+    const rows = 16;
+    const last = TV_ASCII_RAMP.length - 1;
+
+    ctx.fillStyle = '#050805';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = TV_PHOSPHOR;
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    for (let r = 0; r < rows; r++) {
+      let line = '';
+      for (let c = 0; c < cols; c++) {
+        const v = Math.sin(c * 0.35 + elapsed)
+          + Math.sin(r * 0.5 - elapsed * 1.3)
+          + Math.sin((c + r) * 0.22 + elapsed * 0.7);
+        line += TV_ASCII_RAMP[Math.round((v + 3) / 6 * last)];
+      }
+      ctx.fillText(line, 0, r * (height / rows));
+    }
+    if (caption) this._drawTVCaption(ctx, caption);
+  }
+
+  _drawTVCaption(ctx, text) {
+    const { width, height } = ctx.canvas;
+    ctx.font = 'bold 14px monospace';
+    const boxW = ctx.measureText(text).width + 24;
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect((width - boxW) / 2, height / 2 - 14, boxW, 28);
+    ctx.fillStyle = TV_PHOSPHOR;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, width / 2, height / 2);
+  }
+
   // Get laptop screen rectangle in screen pixels (for HTML overlay positioning)
   getLaptopScreenRect() {
     if (!this.laptopScreenMesh || !this.camera) return null;
@@ -2704,6 +4611,54 @@ class CabinScene {
     return { left: minX, top: minY, width: maxX - minX, height: maxY - minY };
   }
 
+  /**
+   * The scroll camera's keyframes as plain JSON:
+   * [{ t, pos: [x, y, z], look: [x, y, z] }, ...]
+   */
+  getCameraKeyframes() {
+    const round = (v) => Math.round(v * 1000) / 1000;
+    return this.cameraKeyframes.map((k) => ({
+      t: round(k.t),
+      pos: k.pos.toArray().map(round),
+      look: k.look.toArray().map(round),
+    }));
+  }
+
+  /**
+   * Replace the scroll camera's keyframes, from getCameraKeyframes()'s
+   * format or with Vector3s. Needs two or more, with t rising from 0 to 1.
+   */
+  setCameraKeyframes(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      throw new Error('camera path needs at least two keyframes');
+    }
+    const toVector = (v) => (v && v.isVector3 ? v.clone() : new THREE.Vector3().fromArray(v));
+    const next = keyframes.map((k) => ({ t: Number(k.t), pos: toVector(k.pos), look: toVector(k.look) }));
+    next.forEach((k, i) => {
+      if (!(k.t >= 0 && k.t <= 1) || (i > 0 && k.t <= next[i - 1].t)) {
+        throw new Error('keyframe ' + i + ': t must rise from 0 to 1');
+      }
+    });
+    this.cameraKeyframes = next;
+    this._buildCameraRails();
+  }
+
+  // Call from console: cabinScene.editCameraPath() — loads the dev-only
+  // path editor (camera-path-editor.js) on first use
+  editCameraPath() {
+    if (window.CameraPathEditor) {
+      if (!this.cameraPathEditor) this.cameraPathEditor = new window.CameraPathEditor(this);
+      return Promise.resolve(this.cameraPathEditor);
+    }
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = 'camera-path-editor.js';
+      script.onload = () => resolve(this.editCameraPath());
+      script.onerror = () => reject(new Error('camera-path-editor.js could not be loaded'));
+      document.head.appendChild(script);
+    });
+  }
+
   // Export scene JSON for Three.js Editor (https://threejs.org/editor/)
   // Call from console: cabinScene.exportScene()
   exportScene() {
@@ -2721,12 +4676,20 @@ class CabinScene {
   dispose() {
     this.disposed = true;
 
-    // Stop TV video
+    // Stop the laptop's music and the TV video
+    this._stopScreenAudio();
     if (this.tvVideo) {
       this.tvVideo.pause();
       this.tvVideo.src = '';
       this.tvVideo = null;
     }
+    if (this.cameraPathEditor) this.cameraPathEditor.close();
+    this.exitExplore();
+    if (this._tv) {
+      this._tv.videoTex.dispose();
+      this._tv.canvasTex.dispose();
+      this._tv = null;
+    }
 
     if (this._onResize) {
       window.removeEventListener('resize', this._onResize);
@@ -2770,11 +4733,221 @@ class CabinScene {
       }
     });
 
+    if (this.effects) {
+      this.effects.dispose();
+      this.effects = null;
+    }
+
     if (this.renderer) {
       this.renderer.dispose();
     }
   }
 
+  // ── Explore Mode ────────────────────────────────────────────────────
+
+  // Keep a mesh's floor footprint out of explore mode's way
+  _addCollider(mesh) {
+    const box = new THREE.Box3().setFromObject(mesh);
+    this.colliders.push({ minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z });
+    this.occluders.push(mesh);
+  }
+
+  /**
+   * Leave the scroll rail and walk: WASD or arrows (shift to run), mouse
+   * look under pointer lock or by dragging, and setExploreMove() for a
+   * touch joystick. Starts from wherever the camera is looking now.
+   */
+  enterExplore() {
+    if (this.explore || !this.camera || !this.renderer) return;
+    const dir = this.camera.getWorldDirection(new THREE.Vector3());
+    this.explore = {
+      position: this.camera.position.clone(),
+      yaw: Math.atan2(-dir.x, -dir.z),
+      pitch: Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)),
+      velocity: new THREE.Vector3(),
+      keys: new Set(),
+      stick: { x: 0, y: 0 },
+      drag: null,
+    };
+    this._resolveCollisions(this.explore.position);
+    this.camera.rotation.order = 'YXZ';
+    this._bindExplore();
+    this.lockPointer();
+  }
+
+  /**
+   * Back to the scroll rail. The rail camera picks up from here and eases
+   * home the way it follows scrolling, so there's no jump.
+   */
+  exitExplore() {
+    const ex = this.explore;
+    if (!ex) return;
+    this._unbindExplore();
+    if (document.pointerLockElement === this.renderer.domElement) document.exitPointerLock();
+
+    const railLook = this.cameraRails.look.getPoint(this.scrollPercent);
+    const forward = this.camera.getWorldDirection(new THREE.Vector3());
+    this.cameraCurrentPos.copy(this.camera.position);
+    this.cameraCurrentLookAt.copy(this.camera.position)
+      .addScaledVector(forward, railLook.distanceTo(this.camera.position));
+    this.cameraCurrentOffset.set(0, 0, 0);
+    this.camera.rotation.order = 'XYZ';
+    this.explore = null;
+  }
+
+  // Pointer lock needs a user gesture; clicking the canvas asks again
+  lockPointer() {
+    const canvas = this.renderer && this.renderer.domElement;
+    if (!this.explore || !canvas || !canvas.requestPointerLock) return;
+    if (document.pointerLockElement !== canvas) canvas.requestPointerLock();
+  }
+
+  get pointerLocked() {
+    return !!this.renderer && document.pointerLockElement === this.renderer.domElement;
+  }
+
+  // Joystick input, each -1..1: x strafes right, y walks forward
+  setExploreMove(x, y) {
+    if (!this.explore) return;
+    this.explore.stick.x = THREE.MathUtils.clamp(x, -1, 1);
+    this.explore.stick.y = THREE.MathUtils.clamp(y, -1, 1);
+  }
+
+  lookExplore(dx, dy) {
+    const ex = this.explore;
+    if (!ex) return;
+    ex.yaw -= dx * EXPLORE.lookSpeed;
+    ex.pitch = THREE.MathUtils.clamp(ex.pitch - dy * EXPLORE.lookSpeed, -1.45, 1.45);
+  }
+
+  _bindExplore() {
+    const ex = this.explore;
+    const canvas = this.renderer.domElement;
+    const typing = (e) => e.target && (e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName));
+
+    ex.handlers = {
+      keydown: (e) => {
+        if (typing(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (/^(Key[WASD]|Arrow(Up|Down|Left|Right)|Shift(Left|Right))$/.test(e.code)) {
+          ex.keys.add(e.code);
+          e.preventDefault();
+        }
+      },
+      keyup: (e) => ex.keys.delete(e.code),
+      blur: () => ex.keys.clear(),
+      mousemove: (e) => {
+        if (this.pointerLocked) this.lookExplore(e.movementX, e.movementY);
+      },
+      // Without pointer lock (touch, or after Escape) dragging looks around
+      pointerdown: (e) => {
+        if (this.pointerLocked) return;
+        ex.drag = { id: e.pointerId, x: e.clientX, y: e.clientY };
+      },
+      pointermove: (e) => {
+        if (!ex.drag || ex.drag.id !== e.pointerId) return;
+        this.lookExplore((e.clientX - ex.drag.x) * 1.5, (e.clientY - ex.drag.y) * 1.5);
+        ex.drag.x = e.clientX;
+        ex.drag.y = e.clientY;
+      },
+      pointerup: (e) => {
+        if (ex.drag && ex.drag.id === e.pointerId) ex.drag = null;
+      },
+    };
+    window.addEventListener('keydown', ex.handlers.keydown);
+    window.addEventListener('keyup', ex.handlers.keyup);
+    window.addEventListener('blur', ex.handlers.blur);
+    document.addEventListener('mousemove', ex.handlers.mousemove);
+    canvas.addEventListener('pointerdown', ex.handlers.pointerdown);
+    window.addEventListener('pointermove', ex.handlers.pointermove);
+    window.addEventListener('pointerup', ex.handlers.pointerup);
+    window.addEventListener('pointercancel', ex.handlers.pointerup);
+  }
+
+  _unbindExplore() {
+    const handlers = this.explore.handlers;
+    window.removeEventListener('keydown', handlers.keydown);
+    window.removeEventListener('keyup', handlers.keyup);
+    window.removeEventListener('blur', handlers.blur);
+    document.removeEventListener('mousemove', handlers.mousemove);
+    this.renderer.domElement.removeEventListener('pointerdown', handlers.pointerdown);
+    window.removeEventListener('pointermove', handlers.pointermove);
+    window.removeEventListener('pointerup', handlers.pointerup);
+    window.removeEventListener('pointercancel', handlers.pointerup);
+  }
+
+  _updateExplore(delta) {
+    const ex = this.explore;
+    const keys = ex.keys;
+    const pressed = (...codes) => codes.some((code) => keys.has(code));
+
+    // Input in the camera's frame: forward and strafe, each -1..1
+    let forward = ex.stick.y;
+    let strafe = ex.stick.x;
+    if (pressed('KeyW', 'ArrowUp')) forward += 1;
+    if (pressed('KeyS', 'ArrowDown')) forward -= 1;
+    if (pressed('KeyD', 'ArrowRight')) strafe += 1;
+    if (pressed('KeyA', 'ArrowLeft')) strafe -= 1;
+    const amount = Math.min(1, Math.hypot(forward, strafe));
+    const speed = pressed('ShiftLeft', 'ShiftRight') ? EXPLORE.run : EXPLORE.walk;
+
+    const target = new THREE.Vector3();
+    if (amount > 0) {
+      const sin = Math.sin(ex.yaw);
+      const cos = Math.cos(ex.yaw);
+      target.set(-sin * forward + cos * strafe, 0, -cos * forward - sin * strafe)
+        .setLength(amount * speed);
+    }
+    // Ease into and out of a walk rather than starting at full speed
+    ex.velocity.lerp(target, Math.min(1, delta * 10));
+
+    const pos = ex.position;
+    pos.addScaledVector(ex.velocity, delta);
+    this._resolveCollisions(pos);
+    pos.y += (EXPLORE.eyeHeight - pos.y) * Math.min(1, delta * 4);
+
+    this.camera.position.copy(pos);
+    this.camera.rotation.set(ex.pitch, ex.yaw, 0);
+
+    const cb = this.cabinBounds;
+    const inside = pos.x > cb.minX && pos.x < cb.maxX && pos.z > cb.minZ && pos.z < cb.maxZ;
+    this._setIndoorFactor(inside ? 1 : 0);
+    // The door opens for anyone within a few steps of it
+    const doorDistance = Math.hypot(pos.x - (cb.minX + cb.maxX) / 2, pos.z - cb.maxZ);
+    this._setDoorOpen(1 - THREE.MathUtils.smoothstep(doorDistance, 2, 4));
+  }
+
+  // Push a point out of every collider it's within EXPLORE.radius of, and
+  // back inside the ground's edges
+  _resolveCollisions(pos) {
+    const r = EXPLORE.radius;
+    for (const box of this.colliders) {
+      const nearX = THREE.MathUtils.clamp(pos.x, box.minX, box.maxX);
+      const nearZ = THREE.MathUtils.clamp(pos.z, box.minZ, box.maxZ);
+      const dx = pos.x - nearX;
+      const dz = pos.z - nearZ;
+      const distSq = dx * dx + dz * dz;
+      if (distSq >= r * r) continue;
+
+      if (distSq > 1e-8) {
+        const dist = Math.sqrt(distSq);
+        pos.x = nearX + (dx / dist) * r;
+        pos.z = nearZ + (dz / dist) * r;
+      } else {
+        // Center inside the box: out through the nearest side
+        const exits = [
+          [pos.x - box.minX, () => { pos.x = box.minX - r; }],
+          [box.maxX - pos.x, () => { pos.x = box.maxX + r; }],
+          [pos.z - box.minZ, () => { pos.z = box.minZ - r; }],
+          [box.maxZ - pos.z, () => { pos.z = box.maxZ + r; }],
+        ];
+        exits.sort((a, b) => a[0] - b[0])[0][1]();
+      }
+    }
+    const b = EXPLORE.bounds;
+    pos.x = THREE.MathUtils.clamp(pos.x, b.minX, b.maxX);
+    pos.z = THREE.MathUtils.clamp(pos.z, b.minZ, b.maxZ);
+  }
+
   // ── Event Bindings ──────────────────────────────────────────────────
 
   _bindEvents() {
@@ -2783,6 +4956,7 @@ class CabinScene {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
+      if (this.effects) this.effects.setSize(window.innerWidth, window.innerHeight);
     };
     window.addEventListener('resize', this._onResize, { passive: true });
   }
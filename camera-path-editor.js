@@ -0,0 +1,400 @@
+/**
+ * CameraPathEditor - Dev-only authoring overlay for the cabin's scroll
+ * camera path.
+ *
+ * Draws the position rail (warm) and look-at rail (blue) into the scene
+ * with a handle on every keyframe and ticks every 2.5% of scroll, so even
+ * spacing means even speed. In overview a free camera looks over the
+ * whole path: drag a handle to move it, drag empty space to orbit (shift
+ * to pan), wheel to zoom. "ride" goes back to the scroll camera. The panel
+ * edits the selected keyframe exactly and exports the path as the JSON
+ * CAMERA_KEYFRAMES in cabin-scene.js takes.
+ *
+ * Not loaded with the page. From the console:
+ *   cabinScene.editCameraPath()
+ */
+
+(function () {
+  'use strict';
+
+  const POS_COLOR = 0xc49a6c;
+  const LOOK_COLOR = 0x6a9fd8;
+  const SELECTED_COLOR = 0xffdb4e;
+  const CURVE_SAMPLES = 300;
+  const TICK_STEP = 0.025;
+
+  // Drawn over the scene so the path shows through walls
+  function overlayMaterial(Material, color, extra) {
+    return new Material(Object.assign({ color, depthTest: false, depthWrite: false, transparent: true }, extra));
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  class CameraPathEditor {
+    constructor(cabin) {
+      this.cabin = cabin;
+      this.selected = 0;
+      this.overview = false;
+      this._drag = null;
+
+      this.group = new THREE.Group();
+      this.group.renderOrder = 999;
+      cabin.scene.add(this.group);
+      this.handles = [];
+
+      this.camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 300);
+      this.orbit = { target: new THREE.Vector3(-0.5, 1.5, 6), radius: 26, theta: 0.8, phi: 1.05 };
+      this.raycaster = new THREE.Raycaster();
+      this.pointer = new THREE.Vector2();
+      this.dragPlane = new THREE.Plane();
+
+      // Where the scroll camera is and which way it faces
+      this.railMarker = new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), new THREE.Vector3(), 1.2, 0xffffff, 0.3, 0.15);
+      this.group.add(this.railMarker);
+
+      // The scene is blurred for depth of field; paths need to be sharp
+      this._canvasFilter = cabin.renderer.domElement.style.filter;
+      cabin.renderer.domElement.style.filter = 'none';
+
+      this._buildPanel();
+      this._bindEvents();
+      this.rebuild();
+      this.setOverview(true);
+
+      this._tick = () => {
+        this._raf = requestAnimationFrame(this._tick);
+        this._update();
+      };
+      this._tick();
+    }
+
+    // ── Scene overlay ─────────────────────────────────────────────────
+
+    // Redraw rails, ticks and handles from the scene's current keyframes
+    rebuild() {
+      this._clearOverlay();
+      const rails = this.cabin.cameraRails;
+      const keyframes = this.cabin.cameraKeyframes;
+
+      [[rails.pos, POS_COLOR], [rails.look, LOOK_COLOR]].forEach(([rail, color]) => {
+        const curve = new THREE.BufferGeometry().setFromPoints(rail.curve.getPoints(CURVE_SAMPLES));
+        this._addOverlay(new THREE.Line(curve, overlayMaterial(THREE.LineBasicMaterial, color)));
+
+        const ticks = [];
+        for (let t = 0; t <= 1 + 1e-9; t += TICK_STEP) ticks.push(rail.getPoint(t));
+        const tickGeo = new THREE.BufferGeometry().setFromPoints(ticks);
+        this._addOverlay(new THREE.Points(tickGeo, overlayMaterial(THREE.PointsMaterial, color, { size: 4, sizeAttenuation: false })));
+      });
+
+      // Sight lines from each position to what it looks at
+      const sights = [];
+      keyframes.forEach((k) => sights.push(k.pos, k.look));
+      this._addOverlay(new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(sights),
+        overlayMaterial(THREE.LineBasicMaterial, 0xffffff, { opacity: 0.2 })
+      ));
+
+      const sphere = new THREE.SphereGeometry(0.1, 12, 8);
+      keyframes.forEach((k, index) => {
+        ['pos', 'look'].forEach((kind) => {
+          const color = index === this.selected ? SELECTED_COLOR : kind === 'pos' ? POS_COLOR : LOOK_COLOR;
+          const handle = new THREE.Mesh(sphere, overlayMaterial(THREE.MeshBasicMaterial, color));
+          handle.position.copy(k[kind]);
+          handle.userData = { index, kind };
+          this._addOverlay(handle);
+          this.handles.push(handle);
+        });
+      });
+
+      this._renderPanel();
+    }
+
+    _addOverlay(object) {
+      object.renderOrder = 999;
+      this.group.add(object);
+    }
+
+    _clearOverlay() {
+      const geometries = new Set();
+      this.group.children.slice().forEach((child) => {
+        if (child === this.railMarker) return;
+        this.group.remove(child);
+        if (child.geometry) geometries.add(child.geometry);
+        if (child.material) child.material.dispose();
+      });
+      geometries.forEach((geometry) => geometry.dispose());
+      this.handles = [];
+    }
+
+    // ── Editing ───────────────────────────────────────────────────────
+
+    // Apply a keyframe list, keeping the old one if the scene rejects it
+    _apply(keyframes) {
+      const previous = this.cabin.getCameraKeyframes();
+      try {
+        this.cabin.setCameraKeyframes(keyframes);
+        this._status('');
+      } catch (e) {
+        this.cabin.setCameraKeyframes(previous);
+        this._status(e.message);
+      }
+      this.selected = Math.min(this.selected, this.cabin.cameraKeyframes.length - 1);
+      this.rebuild();
+    }
+
+    select(index) {
+      this.selected = index;
+      this.rebuild();
+    }
+
+    // A new keyframe halfway along the segment after the selected one
+    addKeyframe() {
+      const keyframes = this.cabin.getCameraKeyframes();
+      const i = Math.min(this.selected, keyframes.length - 2);
+      const t = (keyframes[i].t + keyframes[i + 1].t) / 2;
+      const rails = this.cabin.cameraRails;
+      keyframes.splice(i + 1, 0, {
+        t,
+        pos: rails.pos.getPoint(t).toArray(),
+        look: rails.look.getPoint(t).toArray(),
+      });
+      this.selected = i + 1;
+      this._apply(keyframes);
+    }
+
+    removeKeyframe() {
+      const keyframes = this.cabin.getCameraKeyframes();
+      if (keyframes.length <= 2) {
+        this._status('a path needs at least two keyframes');
+        return;
+      }
+      keyframes.splice(this.selected, 1);
+      this._apply(keyframes);
+    }
+
+    // Set one number on the selected keyframe: field is 't', 'pos' or 'look'
+    _editField(field, axis, value) {
+      const keyframes = this.cabin.getCameraKeyframes();
+      const key = keyframes[this.selected];
+      if (!Number.isFinite(value)) return;
+      if (field === 't') key.t = value;
+      else key[field][axis] = value;
+      this._apply(keyframes);
+    }
+
+    // The keyframes as JSON, one per line, downloaded and copied
+    exportJSON() {
+      const json = '[\n' + this.cabin.getCameraKeyframes()
+        .map((k) => '  ' + JSON.stringify(k).replace(/,"/g, ', "').replace(/":/g, '": '))
+        .join(',\n') + '\n]\n';
+
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'camera-path.json';
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+
+      if (navigator.clipboard) navigator.clipboard.writeText(json).catch(() => {});
+      this._status('exported camera-path.json');
+      return json;
+    }
+
+    // ── View ──────────────────────────────────────────────────────────
+
+    // Overview: the free camera, pointer on the path. Ride: the scroll
+    // camera and the page as usual.
+    setOverview(on) {
+      this.overview = on;
+      this.cabin.viewCamera = on ? this.camera : null;
+      this.stage.style.display = on ? 'block' : 'none';
+      this.railMarker.visible = on;
+      this._renderPanel();
+    }
+
+    _update() {
+      const cabin = this.cabin;
+      if (this.overview) {
+        const { target, radius, theta, phi } = this.orbit;
+        this.camera.position.setFromSphericalCoords(radius, phi, theta).add(target);
+        this.camera.lookAt(target);
+      }
+      this.railMarker.position.copy(cabin.camera.position);
+      this.railMarker.setDirection(cabin.camera.getWorldDirection(new THREE.Vector3()));
+      if (this.scrollReadout) this.scrollReadout.textContent = 'scroll ' + cabin.scrollPercent.toFixed(3);
+    }
+
+    _pickHandle(e) {
+      const rect = this.cabin.renderer.domElement.getBoundingClientRect();
+      this.pointer.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      this.raycaster.setFromCamera(this.pointer, this.camera);
+      const hit = this.raycaster.intersectObjects(this.handles, false)[0];
+      return hit ? hit.object : null;
+    }
+
+    _bindEvents() {
+      this.stage = el('div', 'camera-path-stage');
+      document.body.appendChild(this.stage);
+
+      this.stage.addEventListener('pointerdown', (e) => {
+        this.stage.setPointerCapture(e.pointerId);
+        const handle = this._pickHandle(e);
+        if (handle) {
+          const { index, kind } = handle.userData;
+          if (index !== this.selected) this.select(index);
+          // Drag across the plane facing the camera through the handle
+          this.dragPlane.setFromNormalAndCoplanarPoint(
+            this.camera.getWorldDirection(new THREE.Vector3()),
+            this.cabin.cameraKeyframes[index][kind]
+          );
+          this._drag = { index, kind };
+        } else {
+          this._drag = { orbit: true, pan: e.shiftKey, x: e.clientX, y: e.clientY };
+        }
+      });
+
+      this.stage.addEventListener('pointermove', (e) => {
+        const drag = this._drag;
+        if (!drag) {
+          this.stage.style.cursor = this._pickHandle(e) ? 'grab' : '';
+          return;
+        }
+        if (drag.orbit) {
+          const dx = e.clientX - drag.x;
+          const dy = e.clientY - drag.y;
+          drag.x = e.clientX;
+          drag.y = e.clientY;
+          if (drag.pan) {
+            const scale = this.orbit.radius * 0.0015;
+            const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+            const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+            this.orbit.target.addScaledVector(right, -dx * scale).addScaledVector(up, dy * scale);
+          } else {
+            this.orbit.theta -= dx * 0.005;
+            this.orbit.phi = THREE.MathUtils.clamp(this.orbit.phi - dy * 0.005, 0.1, Math.PI - 0.1);
+          }
+          return;
+        }
+        this._pickHandle(e);
+        const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+        if (!point) return;
+        this.cabin.cameraKeyframes[drag.index][drag.kind].copy(point);
+        this.cabin.setCameraKeyframes(this.cabin.cameraKeyframes);
+        this.rebuild();
+      });
+
+      const endDrag = () => { this._drag = null; };
+      this.stage.addEventListener('pointerup', endDrag);
+      this.stage.addEventListener('pointercancel', endDrag);
+
+      this.stage.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        this.orbit.radius = THREE.MathUtils.clamp(this.orbit.radius * (1 + e.deltaY * 0.001), 2, 80);
+      }, { passive: false });
+
+      this._onResize = () => {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+      };
+      window.addEventListener('resize', this._onResize, { passive: true });
+    }
+
+    // ── Panel ─────────────────────────────────────────────────────────
+
+    _buildPanel() {
+      const panel = el('div', 'camera-path-editor');
+      const header = el('header', null, 'camera path');
+      const close = el('button', 'cpe-close', '×');
+      close.type = 'button';
+      close.addEventListener('click', () => this.close());
+      header.appendChild(close);
+
+      this.list = el('ol', 'cpe-keys');
+      this.fields = el('div', 'cpe-fields');
+
+      // Preview: move the scroll camera without scrolling the page
+      const preview = el('label', 'cpe-preview', 'preview ');
+      this.previewInput = el('input');
+      Object.assign(this.previewInput, { type: 'range', min: 0, max: 1, step: 0.001, value: this.cabin.scrollPercent });
+      this.previewInput.addEventListener('input', () => this.cabin.onScroll(Number(this.previewInput.value)));
+      preview.appendChild(this.previewInput);
+      this.scrollReadout = el('div', 'cpe-readout');
+
+      const actions = el('div', 'cpe-actions');
+      this.viewButton = el('button');
+      const buttons = [
+        [this.viewButton, () => this.setOverview(!this.overview)],
+        [el('button', null, '+ key'), () => this.addKeyframe()],
+        [el('button', null, '− key'), () => this.removeKeyframe()],
+        [el('button', null, 'export'), () => this.exportJSON()],
+      ];
+      buttons.forEach(([button, onClick]) => {
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+      });
+
+      this.statusLine = el('p', 'cpe-status');
+      const hint = el('p', 'cpe-hint', 'drag handles · drag to orbit · shift-drag to pan · wheel to zoom');
+
+      panel.append(header, this.list, this.fields, preview, this.scrollReadout, actions, this.statusLine, hint);
+      document.body.appendChild(panel);
+      this.panel = panel;
+    }
+
+    _renderPanel() {
+      if (!this.panel) return;
+      this.viewButton.textContent = this.overview ? 'ride' : 'overview';
+
+      const keyframes = this.cabin.cameraKeyframes;
+      this.list.replaceChildren(...keyframes.map((k, i) => {
+        const item = el('li', i === this.selected ? 'selected' : null, i + '  t ' + k.t.toFixed(3));
+        item.addEventListener('click', () => this.select(i));
+        return item;
+      }));
+
+      // Exact values for the selected keyframe
+      const key = keyframes[this.selected];
+      const number = (value, onChange) => {
+        const input = el('input');
+        Object.assign(input, { type: 'number', step: 0.01, value: Math.round(value * 1000) / 1000 });
+        input.addEventListener('change', () => onChange(Number(input.value)));
+        return input;
+      };
+      const rows = [el('label', null, 't ')];
+      rows[0].appendChild(number(key.t, (v) => this._editField('t', null, v)));
+      ['pos', 'look'].forEach((field) => {
+        const row = el('label', null, field + ' ');
+        key[field].toArray().forEach((v, axis) => row.appendChild(number(v, (n) => this._editField(field, axis, n))));
+        rows.push(row);
+      });
+      this.fields.replaceChildren(...rows);
+    }
+
+    _status(text) {
+      if (this.statusLine) this.statusLine.textContent = text;
+    }
+
+    close() {
+      cancelAnimationFrame(this._raf);
+      window.removeEventListener('resize', this._onResize);
+      this._clearOverlay();
+      this.cabin.scene.remove(this.group);
+      this.cabin.viewCamera = null;
+      this.cabin.renderer.domElement.style.filter = this._canvasFilter;
+      this.stage.remove();
+      this.panel.remove();
+      this.cabin.cameraPathEditor = null;
+    }
+  }
+
+  window.CameraPathEditor = CameraPathEditor;
+})();
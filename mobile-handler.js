@@ -689,49 +689,10 @@ class MobileHandler {
   // ---------------------------------------------------------------------------
 
   _setupAccessibility() {
-    this._ensureTouchTargetSizes();
-    this._setupFocusManagement();
-  }
-
-  _ensureTouchTargetSizes() {
-    // Inject a style rule that ensures common interactive elements meet 44px minimum
-    var styleId = 'mobile-handler-a11y-styles';
-    if (document.getElementById(styleId)) return;
-
-    var style = document.createElement('style');
-    style.id = styleId;
-    style.textContent = [
-      '@media (pointer: coarse) {',
-      '  a, button, [role="button"], input[type="submit"], input[type="button"],',
-      '  select, summary, [tabindex]:not([tabindex="-1"]) {',
-      '    min-width: 44px;',
-      '    min-height: 44px;',
-      '  }',
-      '}'
-    ].join('\n');
-    document.head.appendChild(style);
-  }
-
-  _setupFocusManagement() {
-    // On touch devices, remove :focus outlines on touch but keep for keyboard
-    if (!this.hasTouch) return;
-
-    var styleId = 'mobile-handler-focus-styles';
-    if (document.getElementById(styleId)) return;
-
-    var style = document.createElement('style');
-    style.id = styleId;
-    style.textContent = [
-      // Remove focus ring for mouse/touch, keep for keyboard (focus-visible)
-      ':focus:not(:focus-visible) {',
-      '  outline: none;',
-      '}',
-      ':focus-visible {',
-      '  outline: 2px solid #4A90D9;',
-      '  outline-offset: 2px;',
-      '}'
-    ].join('\n');
-    document.head.appendChild(style);
+    // The 44px touch targets and focus-ring rules live in styles.css
+    // (injected <style> tags would need CSP 'unsafe-inline'). The focus
+    // rules only apply on touch devices, keyed off this class.
+    document.body.classList.toggle('has-touch', this.hasTouch);
   }
 
   // ---------------------------------------------------------------------------
@@ -0,0 +1,456 @@
+/**
+ * SceneEffects - Post-processing for the cabin scene.
+ *
+ * The scene renders into an offscreen target (half float where the GPU
+ * can, with a depth texture), then runs through fullscreen passes:
+ *
+ *   depth of field  golden-angle gather sized by each pixel's circle of
+ *                   confusion around dof.focus (world units from the lens)
+ *   bloom           bright pass, then separable blurs at one or two
+ *                   lower resolutions, added back in the final pass
+ *   final           FXAA, ACES tone mapping (the renderer's exposure),
+ *                   sRGB, then optionally ASCII (each cell of the screen
+ *                   drawn as the glyph matching its brightness, from an
+ *                   atlas AsciiOverlay builds), vignette and film grain,
+ *                   straight to the screen
+ *
+ * The renderer's own tone mapping is switched off while the scene draws
+ * into the target so it's applied exactly once, at the end.
+ *
+ * Usage:
+ *   const effects = new SceneEffects(renderer, { bloom: { scale, levels }, dof: { taps, maxBlur }, fxaa });
+ *   effects.setSize(innerWidth, innerHeight);
+ *   effects.dof.focus = 4; effects.dof.aperture = 0.5;
+ *   effects.setGlyphs(asciiOverlay.createGlyphAtlas({ fontSize: 12 }));
+ *   effects.ascii.blend = 1;
+ *   effects.render(scene, camera, elapsed);
+ */
+
+(function () {
+  'use strict';
+
+  const FULLSCREEN_VERTEX = `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `;
+
+  // Bright parts only, 4 taps so thin highlights don't shimmer
+  const BRIGHT_FRAGMENT = `
+    uniform sampler2D tColor;
+    uniform vec2 texel;
+    uniform float threshold;
+    uniform float knee;
+    varying vec2 vUv;
+    void main() {
+      vec3 c = texture2D(tColor, vUv + texel * vec2(-0.5, -0.5)).rgb
+        + texture2D(tColor, vUv + texel * vec2(0.5, -0.5)).rgb
+        + texture2D(tColor, vUv + texel * vec2(-0.5, 0.5)).rgb
+        + texture2D(tColor, vUv + texel * vec2(0.5, 0.5)).rgb;
+      c *= 0.25;
+      float luma = dot(c, vec3(0.2126, 0.7152, 0.0722));
+      gl_FragColor = vec4(c * smoothstep(threshold - knee, threshold + knee, luma), 1.0);
+    }
+  `;
+
+  // 9-tap gaussian in 5 fetches, along `direction` (a texel step)
+  const BLUR_FRAGMENT = `
+    uniform sampler2D tInput;
+    uniform vec2 direction;
+    varying vec2 vUv;
+    void main() {
+      vec2 o1 = direction * 1.3846153846;
+      vec2 o2 = direction * 3.2307692308;
+      vec3 c = texture2D(tInput, vUv).rgb * 0.2270270270;
+      c += (texture2D(tInput, vUv + o1).rgb + texture2D(tInput, vUv - o1).rgb) * 0.3162162162;
+      c += (texture2D(tInput, vUv + o2).rgb + texture2D(tInput, vUv - o2).rgb) * 0.0702702703;
+      gl_FragColor = vec4(c, 1.0);
+    }
+  `;
+
+  // Gathers a spiral of samples out to maxBlur pixels. Each one counts if
+  // its own blur reaches this pixel, so soft foreground bleeds over sharp
+  // background but not the other way round.
+  const DOF_FRAGMENT = `
+    uniform sampler2D tColor;
+    uniform sampler2D tDepth;
+    uniform vec2 texel;
+    uniform float cameraNear;
+    uniform float cameraFar;
+    uniform float focus;
+    uniform float aperture;
+    uniform float maxBlur;
+    varying vec2 vUv;
+
+    const float GOLDEN_ANGLE = 2.39996323;
+
+    float distanceAt(vec2 uv) {
+      float depth = texture2D(tDepth, uv).x;
+      return (cameraNear * cameraFar) / (cameraFar - depth * (cameraFar - cameraNear));
+    }
+
+    float blurAt(float dist) {
+      return clamp(aperture * abs(dist - focus) / dist, 0.0, 1.0) * maxBlur;
+    }
+
+    void main() {
+      float centerDistance = distanceAt(vUv);
+      float centerBlur = blurAt(centerDistance);
+      vec3 color = texture2D(tColor, vUv).rgb;
+      float total = 1.0;
+
+      for (int i = 0; i < TAPS; i++) {
+        float radius = maxBlur * sqrt((float(i) + 0.5) / float(TAPS));
+        float angle = float(i) * GOLDEN_ANGLE;
+        vec2 uv = vUv + vec2(cos(angle), sin(angle)) * texel * radius;
+        vec3 sampleColor = texture2D(tColor, uv).rgb;
+        float sampleDistance = distanceAt(uv);
+        float sampleBlur = blurAt(sampleDistance);
+        if (sampleDistance > centerDistance) sampleBlur = min(sampleBlur, centerBlur * 2.0);
+        float weight = smoothstep(radius - 0.5, radius + 0.5, sampleBlur);
+        color += mix(color / total, sampleColor, weight);
+        total += 1.0;
+      }
+
+      gl_FragColor = vec4(color / total, 1.0);
+    }
+  `;
+
+  const FINAL_FRAGMENT = `
+    uniform sampler2D tColor;
+    uniform sampler2D tBloom0;
+    uniform sampler2D tBloom1;
+    uniform vec2 bloomWeights;
+    uniform vec2 texel;
+    uniform float exposure;
+    uniform sampler2D tGlyphs;
+    uniform float glyphCount;
+    uniform vec2 glyphCell;
+    uniform float asciiBlend;
+    uniform float vignette;
+    uniform float grain;
+    uniform float time;
+    varying vec2 vUv;
+
+    // three.js's ACESFilmicToneMapping
+    vec3 RRTAndODTFit(vec3 v) {
+      vec3 a = v * (v + 0.0245786) - 0.000090537;
+      vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+      return a / b;
+    }
+
+    vec3 toneMap(vec3 color) {
+      const mat3 ACESInputMat = mat3(
+        vec3(0.59719, 0.07600, 0.02840),
+        vec3(0.35458, 0.90834, 0.13383),
+        vec3(0.04823, 0.01566, 0.83777)
+      );
+      const mat3 ACESOutputMat = mat3(
+        vec3(1.60475, -0.10208, -0.00327),
+        vec3(-0.53108, 1.10813, -0.07276),
+        vec3(-0.07367, -0.00605, 1.07602)
+      );
+      color *= exposure / 0.6;
+      color = ACESOutputMat * RRTAndODTFit(ACESInputMat * color);
+      return clamp(color, 0.0, 1.0);
+    }
+
+    vec3 toSRGB(vec3 c) {
+      return mix(pow(c, vec3(0.41666)) * 1.055 - 0.055, c * 12.92, vec3(lessThanEqual(c, vec3(0.0031308))));
+    }
+
+    // Luma on a compressed scale so FXAA sees HDR edges like the eye will
+    float luma(vec3 c) {
+      float l = dot(c, vec3(0.299, 0.587, 0.114));
+      return l / (1.0 + l);
+    }
+
+    vec3 fxaa(vec2 uv) {
+      vec3 rgbNW = texture2D(tColor, uv + texel * vec2(-1.0, -1.0)).rgb;
+      vec3 rgbNE = texture2D(tColor, uv + texel * vec2(1.0, -1.0)).rgb;
+      vec3 rgbSW = texture2D(tColor, uv + texel * vec2(-1.0, 1.0)).rgb;
+      vec3 rgbSE = texture2D(tColor, uv + texel * vec2(1.0, 1.0)).rgb;
+      vec3 rgbM = texture2D(tColor, uv).rgb;
+      float lumaNW = luma(rgbNW);
+      float lumaNE = luma(rgbNE);
+      float lumaSW = luma(rgbSW);
+      float lumaSE = luma(rgbSE);
+      float lumaM = luma(rgbM);
+      float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+      float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+      vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+      float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.03125, 0.0078125);
+      float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+      dir = clamp(dir * rcpDirMin, vec2(-8.0), vec2(8.0)) * texel;
+
+      vec3 rgbA = 0.5 * (texture2D(tColor, uv + dir * (1.0 / 3.0 - 0.5)).rgb
+        + texture2D(tColor, uv + dir * (2.0 / 3.0 - 0.5)).rgb);
+      vec3 rgbB = rgbA * 0.5 + 0.25 * (texture2D(tColor, uv - dir * 0.5).rgb
+        + texture2D(tColor, uv + dir * 0.5).rgb);
+      float lumaB = luma(rgbB);
+      return (lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB;
+    }
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    vec3 bloomAt(vec2 uv) {
+      return texture2D(tBloom0, uv).rgb * bloomWeights.x + texture2D(tBloom1, uv).rgb * bloomWeights.y;
+    }
+
+    // The glyph whose ink matches the cell's brightness, in the cell's color
+    vec3 ascii(vec2 uv) {
+      vec2 pixel = uv / texel;
+      vec2 cell = floor(pixel / glyphCell);
+      vec2 center = (cell + 0.5) * glyphCell * texel;
+      vec3 cellColor = toSRGB(toneMap(texture2D(tColor, center).rgb + bloomAt(center)));
+      float brightness = pow(dot(cellColor, vec3(0.299, 0.587, 0.114)), 0.75);
+      float glyph = floor(min(brightness, 0.999) * glyphCount);
+      vec2 inCell = fract(pixel / glyphCell);
+      float ink = texture2D(tGlyphs, vec2((glyph + inCell.x) / glyphCount, inCell.y)).a;
+      return ink * cellColor / max(brightness, 0.25);
+    }
+
+    void main() {
+      #ifdef FXAA
+        vec3 color = fxaa(vUv);
+      #else
+        vec3 color = texture2D(tColor, vUv).rgb;
+      #endif
+      color = toSRGB(toneMap(color + bloomAt(vUv)));
+      if (asciiBlend > 0.0) color = mix(color, ascii(vUv), asciiBlend);
+
+      vec2 fromCenter = vUv - 0.5;
+      color *= mix(1.0, smoothstep(0.85, 0.25, length(fromCenter * vec2(1.0, 0.85))), vignette);
+
+      // Grain shows in the shadows and midtones, like film
+      float brightness = dot(color, vec3(0.299, 0.587, 0.114));
+      float noise = hash(vUv / texel + fract(time * 7.0) * 101.0) - 0.5;
+      color += noise * grain * (1.0 - brightness * 0.6);
+
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `;
+
+  function shaderPass(fragmentShader, uniforms, defines) {
+    return new THREE.ShaderMaterial({
+      vertexShader: FULLSCREEN_VERTEX,
+      fragmentShader,
+      uniforms,
+      defines: defines || {},
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false,
+    });
+  }
+
+  class SceneEffects {
+    constructor(renderer, settings) {
+      this.renderer = renderer;
+      this.settings = settings;
+
+      // What callers tune between frames
+      this.bloom = { enabled: true, strength: 0.7, threshold: 0.55, knee: 0.25 };
+      this.dof = { enabled: true, focus: 5, aperture: 0 };
+      this.vignette = 0.35;
+      this.grain = 0.045;
+      // Blend 0-1 toward ASCII; needs setGlyphs() first
+      this.ascii = { blend: 0 };
+      this.glyphs = null;
+
+      const caps = renderer.capabilities;
+      const ext = renderer.extensions;
+      const halfFloat = caps.isWebGL2
+        ? ext.has('EXT_color_buffer_float')
+        : ext.has('OES_texture_half_float') && ext.has('EXT_color_buffer_half_float');
+      const type = halfFloat ? THREE.HalfFloatType : THREE.UnsignedByteType;
+      const target = (options) => new THREE.WebGLRenderTarget(1, 1, Object.assign({
+        type,
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        depthBuffer: false,
+        stencilBuffer: false,
+      }, options));
+
+      // No depth texture, no depth of field
+      this.hasDepth = caps.isWebGL2 || ext.has('WEBGL_depth_texture');
+      this.sceneTarget = target({ depthBuffer: true });
+      if (this.hasDepth) {
+        this.sceneTarget.depthTexture = new THREE.DepthTexture(1, 1);
+        this.sceneTarget.depthTexture.type = THREE.UnsignedIntType;
+      }
+      this.dofTarget = target();
+      this.bloomLevels = [];
+      for (let i = 0; i < settings.bloom.levels; i++) {
+        this.bloomLevels.push({ a: target(), b: target() });
+      }
+
+      this.materials = {
+        bright: shaderPass(BRIGHT_FRAGMENT, {
+          tColor: { value: null },
+          texel: { value: new THREE.Vector2() },
+          threshold: { value: 0 },
+          knee: { value: 0 },
+        }),
+        blur: shaderPass(BLUR_FRAGMENT, {
+          tInput: { value: null },
+          direction: { value: new THREE.Vector2() },
+        }),
+        dof: shaderPass(DOF_FRAGMENT, {
+          tColor: { value: null },
+          tDepth: { value: null },
+          texel: { value: new THREE.Vector2() },
+          cameraNear: { value: 0.1 },
+          cameraFar: { value: 100 },
+          focus: { value: 5 },
+          aperture: { value: 0 },
+          maxBlur: { value: 0 },
+        }, { TAPS: settings.dof.taps }),
+        final: shaderPass(FINAL_FRAGMENT, {
+          tColor: { value: null },
+          tBloom0: { value: null },
+          tBloom1: { value: null },
+          bloomWeights: { value: new THREE.Vector2() },
+          texel: { value: new THREE.Vector2() },
+          exposure: { value: 1 },
+          tGlyphs: { value: null },
+          glyphCount: { value: 1 },
+          glyphCell: { value: new THREE.Vector2(1, 1) },
+          asciiBlend: { value: 0 },
+          vignette: { value: 0 },
+          grain: { value: 0 },
+          time: { value: 0 },
+        }, settings.fxaa ? { FXAA: '' } : {}),
+      };
+
+      this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.materials.final);
+      this.quad.frustumCulled = false;
+      this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+      this.width = 1;
+      this.height = 1;
+    }
+
+    // CSS pixels; targets follow the renderer's pixel ratio
+    setSize(width, height) {
+      const ratio = this.renderer.getPixelRatio();
+      this.width = Math.max(1, Math.floor(width * ratio));
+      this.height = Math.max(1, Math.floor(height * ratio));
+      this.sceneTarget.setSize(this.width, this.height);
+      this.dofTarget.setSize(this.width, this.height);
+      this.bloomLevels.forEach((level, i) => {
+        const scale = this.settings.bloom.scale / Math.pow(2, i);
+        const w = Math.max(1, Math.floor(this.width * scale));
+        const h = Math.max(1, Math.floor(this.height * scale));
+        level.a.setSize(w, h);
+        level.b.setSize(w, h);
+      });
+    }
+
+    /**
+     * Glyphs for the ASCII blend: { canvas, chars, cellWidth, cellHeight }
+     * as AsciiOverlay#createGlyphAtlas() returns, cells in canvas pixels.
+     */
+    setGlyphs(atlas) {
+      if (this.glyphs) this.glyphs.texture.dispose();
+      const texture = new THREE.CanvasTexture(atlas.canvas);
+      texture.minFilter = THREE.LinearFilter;
+      texture.magFilter = THREE.NearestFilter;
+      texture.generateMipmaps = false;
+      this.glyphs = { texture, count: atlas.chars.length, cellWidth: atlas.cellWidth, cellHeight: atlas.cellHeight };
+    }
+
+    _draw(material, target) {
+      this.quad.material = material;
+      this.renderer.setRenderTarget(target);
+      this.renderer.render(this.quad, this.quadCamera);
+    }
+
+    render(scene, camera, elapsed) {
+      const renderer = this.renderer;
+      const m = this.materials;
+
+      const toneMapping = renderer.toneMapping;
+      renderer.toneMapping = THREE.NoToneMapping;
+      renderer.setRenderTarget(this.sceneTarget);
+      renderer.render(scene, camera);
+      renderer.toneMapping = toneMapping;
+
+      let color = this.sceneTarget.texture;
+
+      if (this.dof.enabled && this.hasDepth && this.dof.aperture > 0.001) {
+        const u = m.dof.uniforms;
+        u.tColor.value = color;
+        u.tDepth.value = this.sceneTarget.depthTexture;
+        u.texel.value.set(1 / this.width, 1 / this.height);
+        u.cameraNear.value = camera.near;
+        u.cameraFar.value = camera.far;
+        u.focus.value = this.dof.focus;
+        u.aperture.value = this.dof.aperture;
+        u.maxBlur.value = this.settings.dof.maxBlur * renderer.getPixelRatio();
+        this._draw(m.dof, this.dofTarget);
+        color = this.dofTarget.texture;
+      }
+
+      const weights = m.final.uniforms.bloomWeights.value.set(0, 0);
+      const levels = this.bloomLevels;
+      if (this.bloom.enabled && levels.length) {
+        const first = levels[0].a;
+        const b = m.bright.uniforms;
+        b.tColor.value = this.sceneTarget.texture;
+        b.texel.value.set(1 / this.width, 1 / this.height);
+        b.threshold.value = this.bloom.threshold;
+        b.knee.value = this.bloom.knee;
+        this._draw(m.bright, first);
+
+        // Each level blurs the one above it at half the size again
+        const blur = m.blur.uniforms;
+        levels.forEach((level, i) => {
+          const source = i === 0 ? first : levels[i - 1].a;
+          blur.tInput.value = source.texture;
+          blur.direction.value.set(1 / level.a.width, 0);
+          this._draw(m.blur, level.b);
+          blur.tInput.value = level.b.texture;
+          blur.direction.value.set(0, 1 / level.a.height);
+          this._draw(m.blur, level.a);
+        });
+        weights.set(this.bloom.strength, levels.length > 1 ? this.bloom.strength * 0.8 : 0);
+      }
+
+      const f = m.final.uniforms;
+      f.tColor.value = color;
+      f.tBloom0.value = levels.length ? levels[0].a.texture : color;
+      f.tBloom1.value = levels.length > 1 ? levels[1].a.texture : f.tBloom0.value;
+      f.texel.value.set(1 / this.width, 1 / this.height);
+      f.exposure.value = renderer.toneMappingExposure;
+      f.asciiBlend.value = this.glyphs ? this.ascii.blend : 0;
+      if (this.glyphs) {
+        f.tGlyphs.value = this.glyphs.texture;
+        f.glyphCount.value = this.glyphs.count;
+        f.glyphCell.value.set(this.glyphs.cellWidth, this.glyphs.cellHeight);
+      }
+      f.vignette.value = this.vignette;
+      f.grain.value = this.grain;
+      f.time.value = elapsed;
+      this._draw(m.final, null);
+    }
+
+    dispose() {
+      this.sceneTarget.dispose();
+      if (this.sceneTarget.depthTexture) this.sceneTarget.depthTexture.dispose();
+      this.dofTarget.dispose();
+      this.bloomLevels.forEach((level) => {
+        level.a.dispose();
+        level.b.dispose();
+      });
+      if (this.glyphs) this.glyphs.texture.dispose();
+      Object.keys(this.materials).forEach((key) => this.materials[key].dispose());
+      this.quad.geometry.dispose();
+    }
+  }
+
+  window.SceneEffects = SceneEffects;
+})();
@@ -0,0 +1,231 @@
+/**
+ * ScreenHighlighter - Tokenizer-based syntax highlighting for the laptop's
+ * canvas screen.
+ *
+ * A grammar is a set of named states, each a list of { token, match, next }
+ * rules. The tokenizer tries the rules of the current state in order at
+ * each position; the first non-empty match becomes a token and `next`
+ * switches state. Characters no rule matches become 'text'. State carries
+ * over to the next line only for grammars marked `multiline` (block
+ * comments, template strings); the rest start every line fresh.
+ *
+ * Fenced blocks (```js ... ```) switch to the named grammar until the
+ * closing fence, so a snippet typed into a shell buffer still reads like
+ * code.
+ *
+ * Usage:
+ *   const rows = ScreenHighlighter.highlight(lines, 'shell');
+ *   // rows[i] is [{ type, start, end }, ...] covering lines[i]
+ *   ctx.fillStyle = ScreenHighlighter.THEME.tokens[type];
+ */
+
+(function () {
+  'use strict';
+
+  // Screen colors plus one color per token type
+  const THEME = {
+    background: '#1e1e2a',
+    titleBar: '#16161e',
+    title: '#666',
+    cursor: '#c49a6c',
+    selection: 'rgba(106,159,216,0.35)',
+    scrollTrack: 'rgba(255,255,255,0.06)',
+    scrollThumb: 'rgba(196,154,108,0.6)',
+    tokens: {
+      text: '#aaa',
+      prompt: '#7a9a78',
+      command: '#a8c8a0',
+      flag: '#c49a6c',
+      operator: '#c49a6c',
+      variable: '#d8a0d0',
+      path: '#6a9fd8',
+      label: '#c49a6c',
+      value: '#ffdb4e',
+      link: '#ffdb4e',
+      keyword: '#c792ea',
+      literal: '#f78c6c',
+      number: '#f78c6c',
+      string: '#c3e88d',
+      comment: '#5c6370',
+      function: '#82aaff',
+      punctuation: '#777',
+      heading: '#ffdb4e',
+      strong: '#e0e0e0',
+      emphasis: '#b8b8c8',
+    },
+  };
+
+  const FENCE = /^\s*```\s*([\w+-]*)\s*$/;
+
+  const grammars = {};
+
+  /**
+   * Add a grammar: { name, aliases, multiline, states: { start: [...] } }.
+   * Rule patterns are made sticky so they only match at the current position.
+   */
+  function register(grammar) {
+    const states = {};
+    Object.keys(grammar.states).forEach((name) => {
+      states[name] = grammar.states[name].map((rule) => ({
+        token: rule.token,
+        next: rule.next,
+        match: new RegExp(rule.match.source, rule.match.flags.replace('y', '') + 'y'),
+      }));
+    });
+    const compiled = { name: grammar.name, multiline: !!grammar.multiline, states };
+    [grammar.name, ...(grammar.aliases || [])].forEach((name) => { grammars[name] = compiled; });
+    return compiled;
+  }
+
+  function getGrammar(name) {
+    return grammars[(name || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Split one line into tokens. Returns { tokens, state } where state is
+   * where the next line should pick up.
+   */
+  function tokenizeLine(text, grammar, state = 'start') {
+    const tokens = [];
+    let pos = 0;
+
+    // Adjacent runs of the same type merge into one token
+    const push = (type, end) => {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === type && last.end === pos) last.end = end;
+      else tokens.push({ type, start: pos, end });
+      pos = end;
+    };
+
+    while (pos < text.length) {
+      const rules = grammar.states[state] || grammar.states.start;
+      let matched = false;
+      for (const rule of rules) {
+        rule.match.lastIndex = pos;
+        const m = rule.match.exec(text);
+        if (m && m[0].length) {
+          push(rule.token, pos + m[0].length);
+          if (rule.next) state = rule.next;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) push('text', pos + 1);
+    }
+
+    return { tokens, state: grammar.multiline ? state : 'start' };
+  }
+
+  // Tokens for every line, following fenced blocks into their own grammar
+  function highlight(lines, name) {
+    const base = getGrammar(name) || grammars.plain;
+    let grammar = base;
+    let state = 'start';
+    let fenced = false;
+
+    return lines.map((text) => {
+      const fence = FENCE.exec(text);
+      if (fence) {
+        fenced = !fenced;
+        grammar = fenced ? getGrammar(fence[1]) || grammars.plain : base;
+        state = 'start';
+        return text.length ? [{ type: 'punctuation', start: 0, end: text.length }] : [];
+      }
+      const result = tokenizeLine(text, grammar, state);
+      state = result.state;
+      return result.tokens;
+    });
+  }
+
+  // ── Grammars ──
+
+  const URL_PATTERN = /https?:\/\/[^\s)]+/;
+  const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.]+/;
+
+  register({ name: 'plain', aliases: ['text', 'txt'], states: { start: [] } });
+
+  // The laptop's terminal: "> cmd args" prompts and the output below them
+  register({
+    name: 'shell',
+    aliases: ['sh', 'bash', 'zsh', 'console'],
+    states: {
+      start: [
+        { token: 'prompt', match: /^>\s?/, next: 'command' },
+        { token: 'label', match: /^[a-z]+:(?=\s)/, next: 'value' },
+        { token: 'link', match: URL_PATTERN },
+        { token: 'link', match: EMAIL_PATTERN },
+        { token: 'path', match: /[\w.~-]*\/[\w./~-]*/ },
+      ],
+      value: [
+        { token: 'link', match: URL_PATTERN },
+        { token: 'link', match: EMAIL_PATTERN },
+        { token: 'value', match: /\s+|\S+/ },
+      ],
+      command: [
+        { token: 'text', match: /\s+/ },
+        { token: 'command', match: /[^\s|;&<>]+/, next: 'args' },
+      ],
+      args: [
+        { token: 'text', match: /\s+/ },
+        { token: 'operator', match: /&&|\|\||[|;]/, next: 'command' },
+        { token: 'operator', match: />>?|</ },
+        { token: 'flag', match: /--?[\w-]+(=\S*)?/ },
+        { token: 'string', match: /"(?:[^"\\]|\\.)*"?|'[^']*'?/ },
+        { token: 'variable', match: /\$\w+/ },
+        { token: 'link', match: URL_PATTERN },
+        { token: 'path', match: /[^\s|;&<>"']*\/[^\s|;&<>"']*/ },
+        { token: 'text', match: /[^\s|;&<>"'$]+/ },
+      ],
+    },
+  });
+
+  const JS_KEYWORDS = /(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|throw|try|typeof|var|void|while|yield)\b/;
+
+  register({
+    name: 'javascript',
+    aliases: ['js', 'mjs', 'jsx', 'json'],
+    multiline: true,
+    states: {
+      start: [
+        { token: 'comment', match: /\/\/.*/ },
+        { token: 'comment', match: /\/\*/, next: 'comment' },
+        { token: 'string', match: /"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?/ },
+        { token: 'string', match: /`/, next: 'template' },
+        { token: 'keyword', match: JS_KEYWORDS },
+        { token: 'literal', match: /(?:true|false|null|undefined|this|NaN|Infinity)\b/ },
+        { token: 'number', match: /(?:0[xX][\da-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?)\b/ },
+        { token: 'function', match: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+        { token: 'text', match: /[A-Za-z_$][\w$]*/ },
+        { token: 'operator', match: /=>|[=!<>]=?=?|&&|\|\||\?\??|[-+*/%&|^~]=?/ },
+        { token: 'punctuation', match: /[{}()[\];,.:]/ },
+      ],
+      comment: [
+        { token: 'comment', match: /[\s\S]*?\*\//, next: 'start' },
+        { token: 'comment', match: /.+/ },
+      ],
+      template: [
+        { token: 'string', match: /(?:[^`\\]|\\.)*`/, next: 'start' },
+        { token: 'string', match: /.+/ },
+      ],
+    },
+  });
+
+  register({
+    name: 'markdown',
+    aliases: ['md', 'notes'],
+    states: {
+      start: [
+        { token: 'heading', match: /^#{1,6}\s.*/ },
+        { token: 'comment', match: /^>\s.*/ },
+        { token: 'punctuation', match: /^\s*(?:[-*+]|\d+\.)\s/ },
+        { token: 'string', match: /`[^`]+`/ },
+        { token: 'strong', match: /\*\*[^*]+\*\*|__[^_]+__/ },
+        { token: 'emphasis', match: /\*[^*\s][^*]*\*|_[^_\s][^_]*_/ },
+        { token: 'link', match: /\[[^\]]+\]\([^)]+\)/ },
+        { token: 'link', match: URL_PATTERN },
+      ],
+    },
+  });
+
+  window.ScreenHighlighter = { THEME, register, getGrammar, tokenizeLine, highlight };
+})();
@@ -0,0 +1,100 @@
+/**
+ * SiteContent - Loads content.json and validates it against
+ * content.schema.json before anything renders it.
+ *
+ * The validator covers the JSON Schema subset the schema uses: type,
+ * required, properties, additionalProperties, items, minItems, minLength,
+ * pattern and enum.
+ *
+ * Usage:
+ *   SiteContent.load('content.json', 'content.schema.json')
+ *     .then((content) => { ... });
+ */
+
+(function () {
+  'use strict';
+
+  function fetchJSON(url) {
+    return fetch(url).then((res) => {
+      if (!res.ok) throw new Error('SiteContent: ' + url + ' responded ' + res.status);
+      return res.json();
+    });
+  }
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  // Returns a list of "path: problem" strings; empty means valid
+  function validate(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      errors.push(path + ': expected ' + schema.type + ', got ' + typeOf(value));
+      return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(path + ': must be one of ' + schema.enum.join(', '));
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(path + ': shorter than ' + schema.minLength + ' characters');
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(path + ': does not match ' + schema.pattern);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(path + ': needs at least ' + schema.minItems + ' items');
+      }
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...validate(item, schema.items, path + '[' + i + ']')));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const props = schema.properties || {};
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(path + ': missing "' + key + '"');
+      });
+      Object.keys(value).forEach((key) => {
+        if (props[key]) {
+          errors.push(...validate(value[key], props[key], path + '.' + key));
+        } else if (schema.additionalProperties === false) {
+          errors.push(path + ': unexpected "' + key + '"');
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validate(value[key], schema.additionalProperties, path + '.' + key));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fetch content and schema, reject with every validation error at once
+   * so a bad edit is easy to fix from the console.
+   */
+  function load(url, schemaUrl) {
+    return Promise.all([fetchJSON(url), fetchJSON(schemaUrl)]).then(([content, schema]) => {
+      const errors = validate(content, schema);
+      if (errors.length) {
+        throw new Error('SiteContent: ' + url + ' is invalid\n  ' + errors.join('\n  '));
+      }
+      return content;
+    });
+  }
+
+  window.SiteContent = { load, validate };
+})();
@@ -4,7 +4,8 @@
  * Manages loading, typing, scroll, navigation, parallax, brain toggle,
  * sound, idle detection, time-of-day theming, and a handful of easter eggs.
  *
- * Globals expected: window.CabinScene, window.AsciiOverlay, window.MobileHandler
+ * Globals expected: window.CabinScene, window.AsciiOverlay, window.MobileHandler,
+ * window.VirtualFS, window.SiteContent
  * Self-initializes on DOMContentLoaded. Exports as window.UIController.
  */
 
@@ -38,6 +39,225 @@
     return Array.from((ctx || document).querySelectorAll(sel));
   }
 
+  function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      }
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Split a command line into words and operators (|, >, >>), honouring
+  // single quotes, double quotes and backslash escapes
+  function tokenize(line) {
+    const tokens = [];
+    let word = null; // null between words, so "" still yields an empty word
+    let quote = null;
+
+    const flush = () => {
+      if (word !== null) tokens.push({ type: 'word', value: word });
+      word = null;
+    };
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quote) {
+        if (ch === quote) {
+          quote = null;
+        } else if (ch === '\\' && quote === '"' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+          word += line[++i];
+        } else {
+          word += ch;
+        }
+      } else if (ch === '\\') {
+        word = (word || '') + (line[++i] || '');
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        word = word || '';
+      } else if (/\s/.test(ch)) {
+        flush();
+      } else if (ch === '|' || ch === '>') {
+        flush();
+        if (ch === '>' && line[i + 1] === '>') {
+          tokens.push({ type: 'op', value: '>>' });
+          i++;
+        } else {
+          tokens.push({ type: 'op', value: ch });
+        }
+      } else {
+        word = (word || '') + ch;
+      }
+    }
+
+    if (quote) throw new Error('unterminated ' + quote);
+    flush();
+    return tokens;
+  }
+
+  // Group tokens into pipeline stages: [{ argv, redirect: { path, append } }]
+  function parsePipeline(tokens) {
+    const stages = [{ argv: [], redirect: null }];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const stage = stages[stages.length - 1];
+      if (token.type === 'word') {
+        stage.argv.push(token.value);
+      } else if (token.value === '|') {
+        if (stage.argv.length === 0) throw new Error("unexpected '|'");
+        stages.push({ argv: [], redirect: null });
+      } else {
+        const target = tokens[++i];
+        if (!target || target.type !== 'word') throw new Error("expected a file after '" + token.value + "'");
+        stage.redirect = { path: target.value, append: token.value === '>>' };
+      }
+    }
+    if (stages[stages.length - 1].argv.length === 0) {
+      throw new Error(stages.length > 1 ? "unexpected '|'" : 'missing command');
+    }
+    return stages;
+  }
+
+  // Split args into flags and positionals. "-abc" sets a, b and c;
+  // "--name=value", or "--name value" / "-n value" for names listed in
+  // takesValue, carry a value; "--" ends flag parsing
+  function parseFlags(args, takesValue = []) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        positional.push(...args.slice(i + 1));
+        break;
+      } else if (arg.startsWith('--')) {
+        const eq = arg.indexOf('=');
+        const name = eq > 0 ? arg.slice(2, eq) : arg.slice(2);
+        if (eq > 0) flags[name] = arg.slice(eq + 1);
+        else flags[name] = takesValue.includes(name) && i + 1 < args.length ? args[++i] : true;
+      } else if (arg.length > 1 && arg[0] === '-') {
+        for (let j = 1; j < arg.length; j++) {
+          const name = arg[j];
+          if (takesValue.includes(name)) {
+            flags[name] = arg.slice(j + 1) || args[++i];
+            break;
+          }
+          flags[name] = true;
+        }
+      } else {
+        positional.push(arg);
+      }
+    }
+    return { flags, positional };
+  }
+
+  // Captured command output loses the two-space gutter and blank padding
+  // lines — those are terminal presentation, not content
+  function cleanCapture(lines) {
+    const out = lines.map((line) => line.replace(/^ {2}/, ''));
+    while (out.length && !out[0].trim()) out.shift();
+    while (out.length && !out[out.length - 1].trim()) out.pop();
+    return out;
+  }
+
+  // Printed links may only go to the web, mail or one of our own routes
+  function isSafeHref(href) {
+    return /^(https?:|mailto:|#)/i.test(href);
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // "#cabin/laptop?cmd=projects" -> { path: 'cabin/laptop', params: { cmd: 'projects' } }
+  // A leading slash is optional, so "#/projects/kodan" parses too
+  function parseRoute(hash) {
+    const raw = (hash || '').replace(/^#\/?/, '');
+    const q = raw.indexOf('?');
+    const path = (q >= 0 ? raw.slice(0, q) : raw).replace(/\/+$/, '');
+    const params = {};
+    if (q >= 0) new URLSearchParams(raw.slice(q + 1)).forEach((value, key) => { params[key] = value; });
+    return { path, params };
+  }
+
+  function formatRoute(path, params) {
+    const query = new URLSearchParams(params || {}).toString();
+    return path || query ? '#' + path + (query ? '?' + query : '') : '';
+  }
+
+  // Fetch a file as a Blob, reporting 0-1 progress when its size is known
+  function fetchWithProgress(url, onProgress) {
+    return fetch(url).then((res) => {
+      if (!res.ok) throw new Error(url + ' responded ' + res.status);
+      const total = Number(res.headers.get('content-length'));
+      if (!res.body || !total) return res.blob();
+
+      const reader = res.body.getReader();
+      const chunks = [];
+      let received = 0;
+      const pump = () => reader.read().then(({ done, value }) => {
+        if (done) return new Blob(chunks, { type: res.headers.get('content-type') || '' });
+        chunks.push(value);
+        received += value.length;
+        onProgress(received / total);
+        return pump();
+      });
+      return pump();
+    });
+  }
+
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('could not load ' + src));
+      img.src = src;
+    });
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    return Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+  }
+
+  function pipeBytes(bytes, transform) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+      .then((buffer) => new Uint8Array(buffer));
+  }
+
+  // Text -> URL-safe string: "z" + deflated base64 where the browser has
+  // CompressionStream, else "u" + plain UTF-8 base64 (see plainNoteCode)
+  function encodeNote(text) {
+    if (typeof CompressionStream !== 'function') return Promise.resolve(plainNoteCode(text));
+    return pipeBytes(new TextEncoder().encode(text), new CompressionStream('deflate-raw'))
+      .then((bytes) => 'z' + toBase64Url(bytes));
+  }
+
+  function plainNoteCode(text) {
+    return 'u' + toBase64Url(new TextEncoder().encode(text));
+  }
+
+  // Always a Promise: a mangled link rejects instead of throwing
+  function decodeNote(code) {
+    return Promise.resolve().then(() => {
+      const bytes = fromBase64Url(code.slice(1));
+      if (code[0] === 'u') return new TextDecoder().decode(bytes);
+      if (code[0] !== 'z' || typeof DecompressionStream !== 'function') {
+        throw new Error('unsupported note encoding');
+      }
+      return pipeBytes(bytes, new DecompressionStream('deflate-raw'))
+        .then((out) => new TextDecoder().decode(out));
+    });
+  }
+
   function prefersReducedMotion() {
     return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   }
@@ -50,6 +270,7 @@
     // State
     cabinScene: null,
     asciiOverlay: null,
+    _asciiBlend: 1, // what `ascii` / `ascii on` goes back to
     mobileHandler: null,
     brainActive: false,
     idleTimer: null,
@@ -64,7 +285,7 @@
     bottomTimer: null,
 
     // Typing state
-    typingPhrases: ['culturer of ispc', 'entrepreneur', 'ex filmer'],
+    typingPhrases: [], // filled from content.json
     brainPhrases: ['neurons', 'synapses', 'cortex', 'consciousness'],
     typingIndex: 0,
     typingCharIndex: 0,
@@ -108,8 +329,13 @@
       this.initEasterEggs();
       this.initIdleDetection();
       this.initInteractiveObjects();
+      this.initFilesystem();
+      this.initContent();
+      this.initHistory();
       this.initTerminal();
+      this.initRouter();
       this.initModeToggle();
+      this.initExplore();
     },
 
     // -------------------------------------------------------------------
@@ -131,11 +357,29 @@
       setInterval(updateAge, 86400000); // Update daily
     },
 
+    _timeOverride: null, // hours 0-24 from `timeofday`, or null for the clock
+
+    // Page classes and the 3D sky both follow the visitor's clock, or the
+    // time `timeofday` is previewing
     applyTimeOfDay() {
-      const hour = new Date().getHours();
-      const isNight = hour >= 18 || hour < 6;
+      const now = new Date();
+      const hours = this._timeOverride !== null ? this._timeOverride : now.getHours() + now.getMinutes() / 60;
+      const isNight = hours >= 18 || hours < 6;
       document.body.classList.toggle('night-mode', isNight);
       document.body.classList.toggle('day-mode', !isNight);
+      if (this.cabinScene && this.cabinScene.setTimeOfDay) this.cabinScene.setTimeOfDay(this._timeOverride);
+      if (!this._timeOfDayTimer) this._timeOfDayTimer = setInterval(() => this.applyTimeOfDay(), 60000);
+    },
+
+    // "21:30" -> 21.5, or null when it isn't a time
+    _parseClock(text) {
+      const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(text || '');
+      return match ? Number(match[1]) + Number(match[2]) / 60 : null;
+    },
+
+    _formatClock(hours) {
+      const minutes = Math.floor(hours * 60) % 1440;
+      return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
     },
 
     // -------------------------------------------------------------------
@@ -163,6 +407,10 @@
         try {
           this.cabinScene = new window.CabinScene();
           window.cabinScene = this.cabinScene; // expose for console / Three.js editor export
+          this.cabinScene.onScreenCommand = (cmd) => this.runOnScreen(cmd);
+          this.cabinScene.onScreenChange = (lines, app) => this._rememberScreen(lines, app);
+          this.cabinScene.onScreenLink = (url) => this._openScreenLink(url);
+          this.cabinScene.onBookOpen = (book) => (book ? this.showBookPanel(book) : this.hideBookPanel());
         } catch (e) {
           console.warn('CabinScene failed to initialize:', e);
         }
@@ -184,6 +432,7 @@
 
       this.laptopTerminalOpen = true;
       el.classList.add('active');
+      this._syncRoute(true);
 
       // Welcome message and run help on first open
       if (output && output.children.length === 0) {
@@ -200,17 +449,8 @@
       // Input handler
       if (input && !input._bound) {
         input._bound = true;
-        input.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter') {
-            const cmd = input.value.trim();
-            input.value = '';
-            if (cmd) {
-              this._laptopPrint('> ' + cmd, 'cmd-line');
-              this.processCommand(cmd);
-            }
-          }
-          e.stopPropagation();
-        });
+        input.addEventListener('keydown', (e) => e.stopPropagation());
+        this._bindTerminalInput(input, (cmd) => this._laptopPrint('> ' + cmd, 'cmd-line'));
       }
 
       // Mobile: tap anywhere on overlay to focus input
@@ -229,6 +469,7 @@
       if (!el) return;
       this.laptopTerminalOpen = false;
       el.classList.remove('active');
+      this._syncRoute();
       if (this._laptopRAF) {
         cancelAnimationFrame(this._laptopRAF);
         this._laptopRAF = null;
@@ -317,6 +558,8 @@
 
     typeNext() {
       const phrases = this.getCurrentPhrases();
+      // Phrases arrive with content.json; applyContent() restarts typing
+      if (phrases.length === 0) return;
       const word = phrases[this.typingIndex % phrases.length];
 
       if (!this.typingDeleting) {
@@ -384,8 +627,8 @@
         }
       }
 
-      // Enable editable laptop screen when zoomed in
-      if (progress > 0.85 && this.cabinScene && !this.cabinScene._screenEditing) {
+      // Enable editable laptop screen when zoomed in (not while walking)
+      if (progress > 0.85 && this.cabinScene && !this.cabinScene._screenEditing && !this.exploring) {
         this.cabinScene.enableScreenEditing();
       } else if (progress <= 0.85 && this.cabinScene && this.cabinScene._screenEditing) {
         this.cabinScene.disableScreenEditing();
@@ -422,7 +665,13 @@
       });
 
       const blurAmount = Math.max(introBlur * insideCabinMultiplier * laptopZoomMultiplier, dofBlur);
-      document.documentElement.style.setProperty('--scene-blur', blurAmount.toFixed(2) + 'px');
+      if (this.cabinScene && this.cabinScene.effects) {
+        // Real depth of field: the intro and cabin amounts open the
+        // aperture, a centered text section pulls focus off the scene
+        this.cabinScene.setDepthOfField(blurAmount / 4, dofBlur / 2.5);
+      } else {
+        document.documentElement.style.setProperty('--scene-blur', blurAmount.toFixed(2) + 'px');
+      }
 
       // Grey overlay disabled — 3D scene fully visible on load
 
@@ -438,6 +687,8 @@
 
       // Bottom detection
       this.checkBottomReached(progress);
+
+      this._syncRoute();
     },
 
     updateActiveNav() {
@@ -450,6 +701,7 @@
           currentId = sec.id;
         }
       }
+      this.activeSection = currentId;
 
       $$('.nav-link').forEach((link) => {
         link.classList.toggle('active', link.dataset.section === currentId);
@@ -485,6 +737,161 @@
       $$('.section-inner').forEach((el) => observer.observe(el));
     },
 
+    // -------------------------------------------------------------------
+    // 3b. Hash router
+    // -------------------------------------------------------------------
+
+    // Where each route path puts the page. `progress` is onScroll's 0-1
+    // scroll progress, `section` scrolls an element into view instead, and
+    // `terminal` opens the laptop's terminal or whichever one the page has.
+    // "?p=0.62" overrides the progress, "?cmd=..." runs a read-only command
+    // (see urlCommands) or else just types it in, and "?note=..." puts a
+    // shared note on the laptop screen.
+    routes: {
+      '': { progress: 0 },
+      about: { section: 'about' },
+      projects: { section: 'projects' },
+      contact: { section: 'contact' },
+      cabin: { progress: 0.6 },
+      'cabin/desk': { progress: 1 },
+      'cabin/laptop': { progress: 1, terminal: 'laptop' },
+      terminal: { terminal: 'any' },
+    },
+
+    // Commands a link may run; anything else a link carries waits in the
+    // input for the visitor to press enter. Project commands count too.
+    urlCommands: ['help', 'about', 'projects', 'socials', 'facts', 'books', 'ls', 'pwd', 'tree', 'cat', 'grep', 'head', 'wc', 'neofetch'],
+
+    activeSection: '',
+    _routing: false,
+    _appliedHash: null,
+    _scrollPath: null,
+
+    initRouter() {
+      // Our scroll position wins over the browser's remembered one
+      if (location.hash && 'scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+      // Anchor clicks fire both events; _applyRoute ignores the repeat
+      const onNavigate = () => this._applyRoute(location.hash);
+      window.addEventListener('popstate', onNavigate);
+      window.addEventListener('hashchange', onNavigate);
+
+      // No hash means "wherever the browser left us", not the top
+      if (location.hash) this._applyRoute(location.hash);
+      else this._appliedHash = '';
+      if (this._scrollPath === null) this._scrollPath = this._pathForScroll();
+    },
+
+    // Put the page in the state a hash describes
+    _applyRoute(hash) {
+      if (hash === this._appliedHash) return;
+      this._appliedHash = hash;
+
+      const { path, params } = parseRoute(hash);
+      const project = /^projects\/([a-z0-9-]+)$/.exec(path);
+      const route = project ? { terminal: 'any' } : this.routes[path];
+      if (!route) return;
+
+      this._routing = true;
+      if (route.section) {
+        const el = document.getElementById(route.section);
+        if (el) el.scrollIntoView();
+        this.onScroll();
+      } else if (params.p !== undefined || route.progress !== undefined) {
+        const progress = params.p !== undefined ? parseFloat(params.p) : route.progress;
+        if (!isNaN(progress)) this._scrollToProgress(clamp(progress, 0, 1));
+      }
+
+      if (route.terminal === 'laptop') {
+        this.openLaptopTerminal();
+      } else if (route.terminal === 'any' || params.cmd) {
+        this._openAnyTerminal();
+      } else {
+        if (this.laptopTerminalOpen) this.closeLaptopTerminal();
+        if (this.terminalOpen) this.closeTerminal();
+      }
+      this._scrollPath = this._pathForScroll();
+      this._routing = false;
+
+      if (params.note) this._openSharedNote(params.note);
+
+      // Content and files load async; the hash already says where we are,
+      // so the command mustn't rewrite it
+      if (project || params.cmd) {
+        this._contentReady.then(() => this._fsReady).then(() => {
+          this._routing = true;
+          if (project) this.showProject(project[1]);
+          if (params.cmd) {
+            if (this._isUrlSafe(params.cmd)) this.processCommand(params.cmd);
+            else this._prefillInput(params.cmd);
+          }
+          this._routing = false;
+        });
+      }
+    },
+
+    // Every stage a read-only command, and nothing redirected to a file
+    _isUrlSafe(cmd) {
+      let stages;
+      try {
+        stages = parsePipeline(tokenize(cmd));
+      } catch (e) {
+        return false;
+      }
+      return stages.every((stage) => {
+        const command = this.getCommand(stage.argv[0].toLowerCase());
+        if (!command || stage.redirect) return false;
+        return this.urlCommands.includes(command.name) ||
+          (!!this.content && this.content.projects.some((project) => project.id === command.name));
+      });
+    },
+
+    _prefillInput(cmd) {
+      const input = this.laptopTerminalOpen ? $('#laptop-screen-input') : $('#terminal-input');
+      if (!input) return;
+      input.value = cmd;
+      input.focus();
+    },
+
+    _scrollToProgress(progress) {
+      const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+      window.scrollTo(0, progress * docHeight);
+      this.onScroll();
+    },
+
+    // The route path the current scroll position and laptop state match
+    _pathForScroll() {
+      if (this.isLaptopZoom) return this.laptopTerminalOpen ? 'cabin/laptop' : 'cabin/desk';
+      if (this.activeSection === 'about' || this.activeSection === 'projects') return this.activeSection;
+      return this.isInsideCabin ? 'cabin' : '';
+    },
+
+    // Follow scrolling in the address bar. Crossing into a new place
+    // replaces the current entry so scrolling doesn't flood history;
+    // deliberate moves (nav links, opening the laptop) push one.
+    _syncRoute(push) {
+      // Nothing to sync until initRouter has read the incoming hash
+      if (this._routing || this._scrollPath === null) return;
+      const path = this._pathForScroll();
+      if (path === this._scrollPath) return;
+      this._scrollPath = path;
+      this._writeRoute(formatRoute(path), !push);
+    },
+
+    // Go to a route as if the user had followed a link to it
+    navigate(hash) {
+      this._writeRoute(hash);
+      this._appliedHash = null;
+      this._applyRoute(hash);
+    },
+
+    // Record a hash without re-applying it
+    _writeRoute(hash, replace) {
+      if (this._routing || location.hash === hash) return;
+      this._appliedHash = hash;
+      history[replace ? 'replaceState' : 'pushState'](null, '', hash || location.pathname + location.search);
+    },
+
     // -------------------------------------------------------------------
     // 12. Scroll narration
     // -------------------------------------------------------------------
@@ -591,8 +998,8 @@
           const target = link.dataset.section;
           const el = document.getElementById(target);
           if (el) {
+            this._writeRoute('#' + target);
             el.scrollIntoView({ behavior: 'smooth' });
-    
           }
         });
       });
@@ -613,7 +1020,10 @@
             e.preventDefault();
             const target = link.dataset.section;
             const el = document.getElementById(target);
-            if (el) el.scrollIntoView({ behavior: 'smooth' });
+            if (el) {
+              this._writeRoute('#' + target);
+              el.scrollIntoView({ behavior: 'smooth' });
+            }
 
             // Close menu after tapping a link
             mobileMenu.classList.remove('open');
@@ -670,6 +1080,17 @@
     initProjectItems() {
       const isMobile = 'ontouchstart' in window;
 
+      // In-page links to an expandable row open it on the way there
+      $$('a.inline-link[href^="#"]').forEach((link) => {
+        const row = document.getElementById(link.getAttribute('href').slice(1));
+        if (!row || !row.hasAttribute('data-expandable')) return;
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          row.classList.add('expanded');
+          row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+      });
+
       $$('.project-row').forEach((item) => {
         // Expandable rows (like Hack Club videos)
         if (item.hasAttribute('data-expandable')) {
@@ -929,41 +1350,159 @@
       if (!canvas) return;
 
       this._hoverHint = null;
+      this._hoveredId = null;
+      this._tvSelected = false;
+
+      // App-level actions on objects the scene registered
+      const scene = this.cabinScene;
+      if (scene && scene.registerInteractive) {
+        scene.registerInteractive(scene.tvScreen, {
+          id: 'tv',
+          hoverText: this._tvHoverText(scene.getTVState()),
+          onClick: (hit) => {
+            this._tvSelected = true;
+            const url = scene.clickTV(hit.x, hit.y);
+            if (url) window.open(url, '_blank');
+          },
+        });
+        scene.onTVChange = (state) => {
+          scene.registerInteractive(scene.tvScreen, { id: 'tv', hoverText: this._tvHoverText(state) });
+        };
+        scene.registerInteractive(scene.laptopScreenMesh, {
+          id: 'laptop',
+          hoverText: 'use the laptop',
+          onClick: () => this.navigate('#cabin/desk'),
+        });
+      }
 
       // Hover: show tooltip + cursor change
       canvas.addEventListener('mousemove', (e) => {
         if (!this.cabinScene) return;
-        const hit = this.cabinScene.getInteractiveAt(e.clientX, e.clientY);
-
-        if (hit === 'tv') {
-          canvas.style.cursor = 'pointer';
-          this._showHoverHint(e.clientX, e.clientY, 'watch kodan');
-        } else {
-          canvas.style.cursor = '';
+        const point = this._pointerPoint(e);
+        const hit = this.cabinScene.getInteractiveAt(point.x, point.y);
+        const entry = hit && this.cabinScene.interactives[hit.id];
+
+        // Leaving an object ends its hover
+        const previous = this._hoveredId && this.cabinScene.interactives[this._hoveredId];
+        if (previous && previous !== entry && previous.onHover) previous.onHover(null);
+        this._hoveredId = entry ? entry.id : null;
+
+        // Over the zoomed-in laptop, the screen knows what's under the pointer
+        if (entry && entry.id === 'laptop' && this.isLaptopZoom && this.cabinScene._screenEditing) {
+          canvas.style.cursor = hit.x !== null ? this.cabinScene.screenCursorAt(hit.x, hit.y) : '';
           this._hideHoverHint();
+          return;
         }
+
+        if (entry && entry.onHover) entry.onHover(hit);
+        canvas.style.cursor = entry && entry.onClick ? 'pointer' : '';
+        if (entry && entry.hoverText) this._showHoverHint(point.x, point.y, entry.hoverText);
+        else this._hideHoverHint();
       });
 
-      // Click: open link or terminal
+      // Click: whatever the object under the pointer does
       canvas.addEventListener('click', (e) => {
         if (!this.cabinScene) return;
 
-        // When fully zoomed, clicks focus the editable screen
-        if (this.isLaptopZoom && this.cabinScene && this.cabinScene._screenEditing) {
-          this.cabinScene.focusScreenInput();
+        // Exploring with a mouse, a click on the canvas takes the pointer
+        // back after Escape let it go
+        if (this.exploring && !this.cabinScene.pointerLocked && !this._coarsePointer()) {
+          this.cabinScene.lockPointer();
           return;
         }
 
-        const hit = this.cabinScene.getInteractiveAt(e.clientX, e.clientY);
+        const point = this._pointerPoint(e);
+        const hit = this.cabinScene.getInteractiveAt(point.x, point.y);
+        const entry = hit && this.cabinScene.interactives[hit.id];
 
-        if (hit === 'tv') {
-          window.open('https://serenityux.github.io/kodan-desktop-site/', '_blank');
-        } else if (hit === 'laptop') {
-          if (this.cabinScene && this.cabinScene._screenEditing) {
-            this.cabinScene.focusScreenInput();
-          }
+        // When fully zoomed, clicks land on the screen itself: windows,
+        // links and the cursor. Anywhere else just focuses it.
+        if (this.isLaptopZoom && this.cabinScene._screenEditing) {
+          if (entry && entry.id === 'laptop' && hit.x !== null) this.cabinScene.clickScreen(hit.x, hit.y, e.shiftKey);
+          else this.cabinScene.focusScreenInput();
+          return;
+        }
+
+        if (!entry || entry.id !== 'tv') this._tvSelected = false;
+        if (entry && entry.onClick) entry.onClick(hit, e);
+      });
+
+      // Off the canvas, or scrolled along, nothing is under the pointer
+      // and the TV lets go of the keyboard
+      canvas.addEventListener('mouseleave', () => this._releaseHover());
+      window.addEventListener('scroll', () => this._releaseHover(), { passive: true });
+
+      // The TV answers the keyboard like a remote while the pointer is on
+      // it or it was the last thing clicked
+      window.addEventListener('keydown', (e) => {
+        if (!this.cabinScene || !this.cabinScene.getTVState) return;
+        if (!this._tvSelected && this._hoveredId !== 'tv') return;
+        const tv = this.cabinScene.getTVState();
+        if (!tv || !tv.inView) {
+          this._tvSelected = false;
+          return;
+        }
+        if (e.key === 'Escape') {
+          this._tvSelected = false;
+          return;
         }
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+        if (e.ctrlKey || e.metaKey || e.altKey || this.cabinScene._screenEditing) return;
+        // Exploring, the arrows walk
+        if (this.exploring && e.key.startsWith('Arrow')) return;
+        if (this._tvKey(e.key)) e.preventDefault();
       });
+
+      // While zoomed in, the wheel scrolls the laptop screen's scrollback
+      // until it runs out, then goes back to scrolling the page
+      canvas.addEventListener('wheel', (e) => {
+        if (!this.isLaptopZoom || !this.cabinScene || !this.cabinScene._screenEditing) return;
+        const hit = this.cabinScene.getInteractiveAt(e.clientX, e.clientY);
+        if (!hit || hit.id !== 'laptop') return;
+        const rows = e.deltaMode === 1
+          ? Math.round(e.deltaY)
+          : Math.sign(e.deltaY) * Math.max(1, Math.round(Math.abs(e.deltaY) / 40));
+        if (this.cabinScene.scrollScreen(rows)) e.preventDefault();
+      }, { passive: false });
+    },
+
+    _releaseHover() {
+      this._tvSelected = false;
+      const previous = this._hoveredId && this.cabinScene && this.cabinScene.interactives[this._hoveredId];
+      if (previous && previous.onHover) previous.onHover(null);
+      this._hoveredId = null;
+      this._hideHoverHint();
+    },
+
+    // Where the pointer aims: the crosshair while exploring under pointer
+    // lock (the real pointer is frozen wherever it was), else the pointer
+    _pointerPoint(e) {
+      if (this.exploring && this.cabinScene.pointerLocked) {
+        return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+      }
+      return { x: e.clientX, y: e.clientY };
+    },
+
+    _tvHoverText(state) {
+      if (!state) return 'the tv';
+      const name = 'ch ' + state.number + ' · ' + state.channel.name;
+      return state.channel.url ? name + ' — click to watch' : name;
+    },
+
+    // Remote-control keys: ↑/↓ channels, digits tune directly, +/- and m
+    // for volume. Returns whether the key did something.
+    _tvKey(key) {
+      const scene = this.cabinScene;
+      const state = scene.getTVState();
+      if (key === 'ArrowUp' || key === 'PageUp') scene.channelUp();
+      else if (key === 'ArrowDown' || key === 'PageDown') scene.channelDown();
+      else if (/^[1-9]$/.test(key) && Number(key) <= state.channels.length) scene.tuneTV(Number(key) - 1);
+      else if (key === '+' || key === '=') scene.setTVVolume(state.volume + 0.1);
+      else if (key === '-' || key === '_') scene.setTVVolume(state.volume - 0.1);
+      else if (key === 'm' || key === 'M') scene.toggleTVMute();
+      else return false;
+      return true;
     },
 
     _showHoverHint(x, y, text) {
@@ -996,6 +1535,8 @@
       const overlay = $('#terminal-overlay');
       const closeBtn = $('#terminal-close');
       const input = $('#terminal-input');
+      this._bindOutputLinks($('#terminal-output'));
+      this._bindOutputLinks($('#laptop-screen-output'));
       if (!overlay) return;
 
       // Close handlers
@@ -1013,15 +1554,252 @@
       });
 
       // Input handler
-      if (input) {
-        input.addEventListener('keydown', (e) => {
+      if (input) this._bindTerminalInput(input);
+    },
+
+    // Keyboard wiring shared by #terminal-input and #laptop-screen-input
+    _bindTerminalInput(input, echo) {
+      input.addEventListener('keydown', (e) => {
+        if (!this._handleHistoryKeys(e, input)) {
           if (e.key === 'Enter') {
-            const cmd = input.value.trim();
-            input.value = '';
-            if (cmd) this.processCommand(cmd);
+            this._submitInput(input, echo);
+          } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this._completeInput(input);
+          } else if ((e.key === 'ArrowRight' || e.key === 'End') && this._acceptGhost(input)) {
+            e.preventDefault();
           }
+        }
+        this._updateGhost(input);
+      });
+      input.addEventListener('input', () => this._updateGhost(input));
+    },
+
+    // Shared Enter path for both terminals: expand history, record, run
+    _submitInput(input, echo) {
+      const raw = input.value.trim();
+      input.value = '';
+      input._historyIndex = null;
+      if (!raw) return;
+
+      const cmd = this._expandHistory(raw);
+      if (cmd === null) return;
+      this._pushHistory(cmd);
+      if (echo) echo(cmd);
+      this.processCommand(cmd);
+    },
+
+    // Mount an empty filesystem right away, then swap in the manifest
+    // once it loads so early commands don't hit a null fs
+    fs: null,
+
+    _fsReady: Promise.resolve(),
+
+    initFilesystem() {
+      if (typeof window.VirtualFS !== 'function') return;
+      this.fs = new window.VirtualFS();
+      this._fsReady = window.VirtualFS.load('filesystem.json')
+        .then((fs) => { this.fs = fs; })
+        .catch((e) => console.warn('VirtualFS failed to load:', e));
+    },
+
+    // -------------------------------------------------------------------
+    // Site content (content.json)
+    // -------------------------------------------------------------------
+
+    content: null,
+
+    _contentReady: Promise.resolve(),
+
+    // Just enough copy for the intro, laptop and terminal when content.json
+    // can't be loaded or doesn't validate
+    fallbackContent: {
+      profile: { name: 'dieter schoening', tagline: '20 · builder · filmer · creative', bio: [] },
+      typingPhrases: ['culturer of ispc', 'entrepreneur', 'ex filmer'],
+      socials: [{ label: 'email', handle: 'dieter@serenidad.app', url: 'mailto:dieter@serenidad.app' }],
+      projects: [],
+      facts: [],
+      neofetch: { art: [], info: ['dieter@cabin'] },
+      laptop: { quote: 'the rest of the cabin is still unpacking.', photos: [], tracks: [] },
+    },
+
+    initContent() {
+      if (!window.SiteContent) {
+        this.applyContent(this.fallbackContent);
+        return;
+      }
+      this._contentReady = window.SiteContent.load('content.json', 'content.schema.json')
+        .then((content) => this.applyContent(content))
+        .catch((e) => {
+          console.warn('content.json failed to load, using the built-in copy:', e);
+          this.applyContent(this.fallbackContent);
         });
+    },
+
+    // Hand the validated content to everything that displays it
+    applyContent(content) {
+      this.content = content;
+
+      const wasEmpty = this.typingPhrases.length === 0;
+      this.typingPhrases = content.typingPhrases;
+      if (wasEmpty && this.typedEl && !this.brainActive) this.typeNext();
+
+      if (this.cabinScene && this.cabinScene.setScreenLines) {
+        // A shared note or the visitor's own saved buffer beats the default
+        if (!this._screenFromLink) {
+          this.cabinScene.setScreenLines(this._savedScreenLines() || this._laptopScreenLines(content));
+        }
+        const notes = this._savedScreenLines('notes');
+        if (notes) this.cabinScene.setScreenLines(notes, 'notes');
+        this.cabinScene.setScreenMedia(content.laptop);
+        this.cabinScene.setReadingList(content.readingList || []);
+        if (content.tv) this.cabinScene.setTVChannels(content.tv.channels);
+        if (content.weather) this.cabinScene.setWeatherScript(content.weather);
+      }
+
+      this._registerProjectCommands(content);
+
+      // Files generated from content sit alongside filesystem.json's own
+      this._fsReady.then(() => {
+        if (this.fs) this.fs.mount('/', this._contentManifest(content));
+      });
+    },
+
+    // Print a "still loading" note and return null until content arrives
+    _requireContent() {
+      if (!this.content) this._printError('  content is still loading, try again in a moment');
+      return this.content;
+    },
+
+    _social(label) {
+      return this.content.socials.find((social) => social.label === label) || null;
+    },
+
+    _contentManifest(content) {
+      const projects = {};
+      content.projects.forEach((project) => {
+        projects[project.id + '.md'] = ['# ' + (project.title || project.name), project.description]
+          .concat(project.url ? [project.url] : []);
+      });
+      const books = {};
+      (content.readingList || []).forEach((book) => {
+        books[book.id + '.md'] = ['# ' + book.title, 'by ' + book.author, ''].concat(book.notes || []);
+      });
+      const email = content.socials.find((social) => social.label === 'email');
+      return {
+        'about.txt': [content.profile.name, content.profile.tagline, '']
+          .concat(content.profile.bio, email ? [email.handle] : []),
+        'socials.txt': content.socials.map((social) => social.label.padEnd(9) + social.handle),
+        projects,
+        books,
+      };
+    },
+
+    // The notes drawn on the 3D laptop's canvas screen
+    _laptopScreenLines(content) {
+      return [
+        '> ',
+        content.laptop.quote,
+        '',
+        '> ls projects/',
+        content.projects.map((project) => project.id + '/').join('  '),
+        '',
+        '> cat contact.txt',
+        ...content.socials.map((social) => social.label + ': ' + social.handle),
+        '',
+        '> ',
+      ];
+    },
+
+    _prompt() {
+      return 'dieter@cabin ' + (this.fs ? this.fs.displayPath() : '~') + ' % ';
+    },
+
+    // Candidates for the word under the caret: command names for the first
+    // word, otherwise whatever the command's complete hook offers
+    _completions(value) {
+      const start = value.lastIndexOf(' ') + 1;
+      const partial = value.slice(start);
+      if (start === 0) {
+        const names = Object.keys(this.commands)
+          .filter((name) => !this.commands[name].hidden)
+          .concat(Object.keys(this._commandAliases));
+        return { start, matches: names.filter((name) => name.startsWith(partial)).sort() };
+      }
+
+      const args = value.split(/\s+/);
+      const command = this.getCommand(args[0].toLowerCase());
+      if (!command || !command.complete) return { start, matches: [] };
+      return { start, matches: command.complete(partial, args.slice(1), this) };
+    },
+
+    _completeInput(input) {
+      const value = input.value;
+      const { start, matches } = this._completions(value);
+      const partial = value.slice(start);
+      if (matches.length === 0) return;
+
+      // A single match is a finished word — add a space unless it's a directory
+      if (matches.length === 1) {
+        input.value = value.slice(0, start) + matches[0] + (matches[0].endsWith('/') ? '' : ' ');
+        return;
+      }
+
+      // Extend to the longest common prefix of all matches
+      let common = matches[0];
+      for (const m of matches) {
+        while (!m.startsWith(common)) common = common.slice(0, -1);
+      }
+      if (common.length > partial.length) {
+        input.value = value.slice(0, start) + common;
+      } else {
+        this._print(this._prompt() + value, 'cmd-line');
+        this._print('  ' + matches.join('  '), 'info-line');
+      }
+    },
+
+    // Fish-style suggestion: newest matching history entry, else a unique completion
+    _suggest(value) {
+      if (!value.trim()) return '';
+      for (let i = this.terminalHistory.length - 1; i >= 0; i--) {
+        const entry = this.terminalHistory[i];
+        if (entry.length > value.length && entry.startsWith(value)) return entry;
+      }
+      const { start, matches } = this._completions(value);
+      if (matches.length !== 1) return '';
+      const suggestion = value.slice(0, start) + matches[0];
+      return suggestion.length > value.length ? suggestion : '';
+    },
+
+    // Grey ghost text drawn behind the input, lined up after what's typed
+    _updateGhost(input) {
+      let ghost = input._ghost;
+      if (!ghost) {
+        ghost = document.createElement('span');
+        ghost.className = 'terminal-ghost';
+        ghost.setAttribute('aria-hidden', 'true');
+        ghost.appendChild(document.createElement('span'));
+        ghost.appendChild(document.createElement('span'));
+        input.parentElement.appendChild(ghost);
+        input._ghost = ghost;
       }
+
+      const atEnd = input.selectionStart === input.value.length;
+      const suggestion = input._search || !atEnd ? '' : this._suggest(input.value);
+      input._suggestion = suggestion;
+      ghost.firstChild.textContent = input.value;
+      ghost.lastChild.textContent = suggestion.slice(input.value.length);
+      ghost.style.font = getComputedStyle(input).font;
+      ghost.style.left = input.offsetLeft + 'px';
+      ghost.style.top = input.offsetTop + 'px';
+      ghost.style.lineHeight = input.offsetHeight + 'px';
+    },
+
+    _acceptGhost(input) {
+      if (!input._suggestion || input.selectionStart !== input.value.length) return false;
+      input.value = input._suggestion;
+      input._suggestion = '';
+      return true;
     },
 
     openTerminal() {
@@ -1063,18 +1841,17 @@
       output.scrollTop = output.scrollHeight;
     },
 
-    terminalPrintHTML(html) {
-      const output = $('#terminal-output');
-      if (!output) return;
-      const line = document.createElement('div');
-      line.innerHTML = html;
-      output.appendChild(line);
-      output.scrollTop = output.scrollHeight;
-    },
-
     // Route print to whichever terminal is active
     // Supports markdown-style h1 (# heading) - auto-formats as h1-line
     _print(text, className) {
+      // Inside a pipe or redirect, or running for the canvas screen,
+      // collect lines instead of rendering them
+      const sink = this._textSink();
+      if (sink) {
+        sink.push(text);
+        return;
+      }
+
       // Check for markdown h1 syntax
       let finalText = text;
       let finalClass = className;
@@ -1090,168 +1867,1311 @@
       }
     },
 
-    _printHTML(html) {
-      if (this.laptopTerminalOpen) {
-        // For laptop terminal, use innerHTML too
-        const output = $('#laptop-screen-output');
-        if (!output) return;
-        const line = document.createElement('div');
-        line.innerHTML = html;
-        output.appendChild(line);
-        output.scrollTop = output.scrollHeight;
-      } else {
-        this.terminalPrintHTML(html);
+    // Errors always reach the screen, even from inside a pipe: the canvas
+    // screen's lines when running for it, else the active terminal
+    _printError(text) {
+      const capture = this._capture;
+      const screen = this._screenSink;
+      this._capture = null;
+      this._screenSink = null;
+      try {
+        if (screen) screen.lines.push(text);
+        else this._print(text, '');
+      } finally {
+        this._capture = capture;
+        this._screenSink = screen;
       }
     },
 
-    processCommand(cmd) {
-      // Echo the command
-      this._print('dieter@cabin ~ % ' + cmd, 'cmd-line');
+    // -------------------------------------------------------------------
+    // Structured output. Each primitive builds DOM nodes for whichever
+    // terminal is active and degrades to plain lines in a pipe or redirect.
+    // Text only ever goes in through textContent and links carry no
+    // handlers of their own, so nothing here needs CSP 'unsafe-inline'.
+    // -------------------------------------------------------------------
 
-      const args = cmd.toLowerCase().split(/\s+/);
-      const command = args[0];
+    _outputEl() {
+      return this.laptopTerminalOpen ? $('#laptop-screen-output') : $('#terminal-output');
+    },
 
-      switch (command) {
-        case 'help':
-          this._print('', '');
-          this._print('  available commands:', 'info-line');
-          this._print('  help        — show this menu', '');
-          this._print('  about       — who is dieter?', '');
-          this._print('  projects    — things i\'ve built', '');
-          this._print('  socials     — find me online', '');
-          this._print('  kodan       — learn about kodan', '');
-          this._print('  brain       — toggle brain viz', '');
-          this._print('  facts       — fun facts', '');
-          this._print('  ls          — list files', '');
-          this._print('  cat <file>  — read a file', '');
-          this._print('  clear       — clear terminal', '');
-          this._print('  exit        — close terminal', '');
-          this._print('', '');
-          break;
+    // Append a node, or capture its text stand-in. Returns the node if shown.
+    _printNode(node, lines) {
+      const sink = this._textSink();
+      if (sink) {
+        sink.push(...lines);
+        return null;
+      }
+      const output = this._outputEl();
+      if (!output) return null;
+      output.appendChild(node);
+      output.scrollTop = output.scrollHeight;
+      return node;
+    },
 
-        case 'about':
-          this._print('', '');
-          this._print('  dieter schoening', 'accent-line');
-          this._print('  20 · builder · filmer · creative', 'info-line');
-          this._print('', '');
-          this._print('  i build things, film things, and', '');
-          this._print('  occasionally break things.', '');
-          this._print('  working with iPSC and building serenidad.', '');
-          this._printHTML('  <span class="link-line" onclick="window.open(\'mailto:dieter@serenidad.app\')">dieter@serenidad.app</span>');
-          this._print('', '');
-          break;
+    // Keep the output pinned to the bottom when a node grows after printing
+    _scrollOutputTo(node) {
+      const output = node.parentElement;
+      if (output) output.scrollTop = output.scrollHeight;
+    },
 
-        case 'projects':
-          this._print('', '');
-          this._print('  things i\'ve built:', 'info-line');
-          this._print('  ├── kodan              — ai anime platform', '');
-          this._print('  ├── minimalmaru/darukiyu — anime brand + content ($1.3M)', '');
-          this._print('  ├── laser speaker      — audio through lasers', '');
-          this._print('  ├── hack club          — grew socials to 100K+', '');
-          this._print('  └── vr games           — built a bunch in 2 months', '');
-          this._print('', '');
-          this._print('  type a project name for more info', 'info-line');
-          this._print('', '');
-          break;
+    /**
+     * Rows of cells as space-aligned columns. A cell is a string, or
+     * { text, href } to make it a link.
+     *   ui.printTable([['id', 'stack'], [{ text: 'kodan', href: '#/projects/kodan' }, 'ai']],
+     *     { header: true });
+     * options: { header, gap (spaces between columns, default 2) }
+     */
+    printTable(rows, options = {}) {
+      const cells = rows.map((row) => row.map((cell) => (
+        cell && typeof cell === 'object' ? { text: String(cell.text), href: cell.href } : { text: String(cell) }
+      )));
+      const widths = [];
+      cells.forEach((row) => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.text.length); }));
+
+      const gap = ' '.repeat(options.gap === undefined ? 2 : options.gap);
+      const pad = (row, i) => (i === row.length - 1 ? '' : ' '.repeat(widths[i] - row[i].text.length) + gap);
+      const lines = cells.map((row) => ('  ' + row.map((cell, i) => cell.text + pad(row, i)).join('')).replace(/\s+$/, ''));
+
+      const table = document.createElement('div');
+      table.className = 'terminal-table';
+      cells.forEach((row, r) => {
+        const line = document.createElement('div');
+        if (options.header && r === 0) line.className = 'info-line';
+        line.appendChild(document.createTextNode('  '));
+        row.forEach((cell, i) => {
+          line.appendChild(cell.href ? this._linkNode(cell.text, cell.href) : document.createTextNode(cell.text));
+          if (pad(row, i)) line.appendChild(document.createTextNode(pad(row, i)));
+        });
+        table.appendChild(line);
+      });
+      this._printNode(table, lines);
+    },
 
-        case 'kodan':
-          this._print('', '');
-          this._print('  kōdan', 'accent-line');
-          this._print('  AI anime platform. built over 2 months in rural japan.', '');
-          this._print('', '');
-          this._printHTML('  <span class="link-line" onclick="window.open(\'https://serenityux.github.io/kodan-desktop-site/\',\'_blank\')">→ visit kodan</span>');
-          this._print('', '');
-          break;
+    /**
+     * An image file, either as-is or converted to ASCII art by AsciiOverlay.
+     * ASCII images download with a progress bar that the art replaces.
+     */
+    printImage(src, asAscii) {
+      const sink = this._textSink();
+      if (sink) {
+        sink.push('[image: ' + src + ']');
+        return;
+      }
 
-        case 'socials':
-          this._print('', '');
-          this._print('  find me:', 'info-line');
-          this._printHTML('  <span class="link-line" onclick="window.open(\'mailto:dieter@serenidad.app\')">email    dieter@serenidad.app</span>');
-          this._printHTML('  <span class="link-line" onclick="window.open(\'https://twitter.com/dieterzsh\',\'_blank\')">twitter  @dieterzsh</span>');
-          this._printHTML('  <span class="link-line" onclick="window.open(\'https://github.com/deetschoe\',\'_blank\')">github   deetschoe</span>');
+      const ascii = asAscii ? this._asciiOverlay() : null;
+      if (!ascii) {
+        const img = document.createElement('img');
+        img.className = 'terminal-art';
+        img.alt = src;
+        img.addEventListener('load', () => this._scrollOutputTo(img));
+        img.src = src;
+        this._printNode(img, []);
+        return;
+      }
+
+      const bar = this.printProgress(src);
+      if (!bar.node) return;
+      fetchWithProgress(src, (fraction) => bar.update(fraction))
+        .then((blob) => loadImage(URL.createObjectURL(blob)))
+        .then((img) => {
+          ascii.imageToArt(src, img);
+          URL.revokeObjectURL(img.src);
+          const canvas = ascii.renderToCanvas(src, { fontSize: 8 });
+          canvas.className = 'terminal-art';
+          bar.node.replaceWith(canvas);
+          this._scrollOutputTo(canvas);
+        })
+        .catch(() => bar.done(src + ' failed to load'));
+    },
+
+    /**
+     * A progress bar line that redraws in place:
+     *   const bar = ui.printProgress('kodan.png');
+     *   bar.update(0.5);   // "kodan.png [##########··········]  50%"
+     *   bar.done('ready');
+     */
+    printProgress(label) {
+      const render = (fraction) => {
+        const f = clamp(fraction, 0, 1);
+        const filled = Math.round(f * 20);
+        return '  ' + label + ' [' + '#'.repeat(filled) + '·'.repeat(20 - filled) + '] ' +
+          String(Math.round(f * 100)).padStart(3) + '%';
+      };
+      const line = document.createElement('div');
+      line.className = 'info-line';
+      line.textContent = render(0);
+      const node = this._printNode(line, ['  ' + label]);
+
+      return {
+        node,
+        update: (fraction) => { if (node) line.textContent = render(fraction); },
+        done: (text) => { if (node) line.textContent = text === undefined ? render(1) : '  ' + text; },
+      };
+    },
+
+    // A clickable link line: a web or mailto: URL, or a route like "#/projects/kodan"
+    printLink(text, url) {
+      const line = document.createElement('div');
+      line.appendChild(document.createTextNode('  '));
+      line.appendChild(this._linkNode(text, url));
+      this._printNode(line, ['  ' + text]);
+    },
+
+    // An <a> for the delegated handler below; unsafe URLs print as plain text
+    _linkNode(text, url) {
+      if (!isSafeHref(url)) return document.createTextNode(text);
+      const link = document.createElement('a');
+      link.className = 'link-line';
+      link.href = url;
+      link.textContent = text;
+      if (/^https?:/i.test(url)) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      return link;
+    },
+
+    // Links clicked on the laptop's canvas screen follow the same rules as
+    // links in terminal output
+    _openScreenLink(url) {
+      if (!isSafeHref(url)) return;
+      if (url.startsWith('#')) this.navigate(url);
+      else if (url.startsWith('mailto:')) location.href = url;
+      else window.open(url, '_blank', 'noopener');
+    },
+
+    // One click listener per output handles every printed link. Routes
+    // re-run even when the address bar already shows them.
+    _bindOutputLinks(output) {
+      if (!output || output._linksBound) return;
+      output._linksBound = true;
+      output.addEventListener('click', (e) => {
+        const link = e.target.closest('a.link-line');
+        if (!link || !output.contains(link)) return;
+        const href = link.getAttribute('href');
+        if (!isSafeHref(href)) {
+          e.preventDefault();
+        } else if (href.startsWith('#')) {
+          e.preventDefault();
+          this.navigate(href);
+        }
+        // Web and mail links fall through to the browser
+      });
+    },
+
+    _capture: null,
+
+    // Set while a command runs for the 3D laptop's canvas screen
+    _screenSink: null,
+
+    _textSink() {
+      return this._capture || (this._screenSink && this._screenSink.lines);
+    },
+
+    processCommand(cmd) {
+      // Echo the command
+      this._print(this._prompt() + cmd, 'cmd-line');
+      this._execute(cmd);
+    },
+
+    /**
+     * Run a command typed at a "> " prompt on the laptop's canvas screen.
+     * The prompt line is already on screen, so there's no echo; everything
+     * the command prints, errors included, comes back as plain lines.
+     * Returns { lines, cleared } — cleared is set by `clear`.
+     */
+    runOnScreen(raw) {
+      const sink = { lines: [], cleared: false };
+      this._screenSink = sink;
+      try {
+        const cmd = this._expandHistory(raw);
+        if (cmd !== null) {
+          if (cmd !== raw) sink.lines.push(cmd); // show what !! expanded to, like bash
+          this._pushHistory(cmd);
+          this._execute(cmd);
+        }
+      } finally {
+        this._screenSink = null;
+      }
+      return sink;
+    },
+
+    _execute(cmd) {
+      let stages;
+      try {
+        stages = parsePipeline(tokenize(cmd));
+      } catch (e) {
+        this._print('  syntax error: ' + e.message, '');
+        return;
+      }
+      this._runPipeline(stages);
+    },
+
+    // Run each stage with the previous stage's output as its input lines.
+    // The last stage prints to the terminal unless it is redirected.
+    _runPipeline(stages) {
+      let input = null;
+
+      stages.forEach((stage, i) => {
+        const name = stage.argv[0].toLowerCase();
+        const command = this.getCommand(name);
+        if (!command) {
+          this._printError('  command not found: ' + name);
+          const guess = this._closestCommand(name);
+          if (guess) this._print('  did you mean "' + guess + '"?', 'info-line');
+          else this._print('  type "help" for available commands', 'info-line');
+          input = [];
+          return;
+        }
+
+        // A command that throws ends its own stage, not the whole terminal
+        const captured = i < stages.length - 1 || stage.redirect;
+        const screen = this._screenSink;
+        let failed = false;
+        if (captured) this._capture = [];
+        try {
+          command.run(stage.argv.slice(1), this, input);
+        } catch (e) {
+          failed = true;
+          console.warn('Command "' + name + '" failed:', e);
+          this._capture = null;
+          this._screenSink = screen;
+          this._printError('  ' + name + ': ' + ((e && e.message) || e));
+        } finally {
+          input = captured && !failed ? cleanCapture(this._capture) : null;
+          this._capture = null;
+          this._screenSink = screen;
+        }
+        if (failed) {
+          input = [];
+          return;
+        }
+
+        if (stage.redirect) {
+          const err = this.fs
+            ? this.fs.writeFile(stage.redirect.path, input, stage.redirect.append)
+            : 'filesystem not mounted';
+          if (err) this._print('  ' + err, '');
+          input = [];
+        }
+      });
+    },
+
+    // -------------------------------------------------------------------
+    // 16b. Command registry
+    // -------------------------------------------------------------------
+
+    commands: {},
+    _commandAliases: {},
+
+    /**
+     * Register a terminal command. Later registrations replace earlier ones,
+     * so other scripts can add or override commands via
+     * window.UIController.registerCommand(...).
+     *
+     * spec: { description, usage, run(args, ui, input), complete(partial, args, ui),
+     *         aliases: [], hidden }
+     *
+     * `input` is the previous pipe stage's output as an array of lines, or
+     * null when the command isn't reading from a pipe.
+     */
+    registerCommand(name, spec) {
+      const command = {
+        name,
+        description: spec.description || '',
+        usage: spec.usage || name,
+        run: spec.run,
+        complete: spec.complete || null,
+        aliases: spec.aliases || [],
+        hidden: !!spec.hidden,
+      };
+      this.commands[name] = command;
+      command.aliases.forEach((alias) => { this._commandAliases[alias] = name; });
+      return command;
+    },
+
+    getCommand(name) {
+      return this.commands[name] || this.commands[this._commandAliases[name]] || null;
+    },
+
+    // Exposed so commands registered from other scripts can share the parser
+    parseFlags(args, takesValue) {
+      return parseFlags(args, takesValue);
+    },
+
+    // A command's text input: the named file if given, else the piped lines
+    _readInput(name, path, input) {
+      if (path !== undefined) {
+        const lines = this.fs ? this.fs.read(path) : null;
+        if (!lines) this._printError('  ' + name + ': ' + path + ': no such file');
+        return lines;
+      }
+      if (input) return input;
+      this._printError('  ' + name + ': no input (give a file or pipe into it)');
+      return null;
+    },
+
+    // Nearest visible command by edit distance, if it's plausibly a typo
+    _closestCommand(name) {
+      let best = null;
+      let bestDist = Math.max(1, Math.min(2, Math.floor(name.length / 3)));
+      Object.keys(this.commands).forEach((candidate) => {
+        if (this.commands[candidate].hidden) return;
+        const dist = levenshtein(name, candidate);
+        if (dist <= bestDist && (!best || dist < bestDist)) {
+          best = candidate;
+          bestDist = dist;
+        }
+      });
+      return best;
+    },
+
+    // Project ids, once content.json has loaded
+    _projectNames() {
+      return this.content ? this.content.projects.map((project) => project.id).sort() : [];
+    },
+
+    _registerBuiltinCommands() {
+      const completePath = (partial) => (this.fs ? this.fs.complete(partial) : []);
+
+      this.registerCommand('help', {
+        description: 'show this menu',
+        run: () => {
           this._print('', '');
-          break;
+          this._print('  available commands:', 'info-line');
+          const visible = Object.values(this.commands).filter((command) => !command.hidden);
+          const width = Math.max(11, ...visible.map((command) => command.usage.length));
+          visible.forEach((command) => {
+            this._print('  ' + command.usage.padEnd(width) + ' — ' + command.description, '');
+          });
+          this._print('', '');
+        },
+      });
+
+      this.registerCommand('about', {
+        description: 'who is dieter?',
+        run: () => {
+          const content = this._requireContent();
+          if (!content) return;
+          const email = this._social('email');
+          this._print('', '');
+          this._print('  ' + content.profile.name, 'accent-line');
+          this._print('  ' + content.profile.tagline, 'info-line');
+          this._print('', '');
+          content.profile.bio.forEach((line) => this._print('  ' + line, ''));
+          if (email) this.printLink(email.handle, email.url);
+          this._print('', '');
+        },
+      });
+
+      this.registerCommand('projects', {
+        description: 'things i\'ve built',
+        usage: 'projects [name]',
+        complete: (partial) => this._projectNames().filter((name) => name.startsWith(partial)),
+        run: (args) => {
+          const content = this._requireContent();
+          if (!content) return;
+          if (args.length) {
+            const project = this._findProject(args.join(' '));
+            if (project) this.showProject(project.id);
+            else this._printError('  projects: no such project: ' + args.join(' '));
+            return;
+          }
+          this._print('', '');
+          this._print('  things i\'ve built:', 'info-line');
+          this.printTable(content.projects.map((project, i) => [
+            i === content.projects.length - 1 ? '└──' : '├──',
+            { text: project.name, href: '#/projects/' + project.id },
+            '— ' + project.summary,
+          ]), { gap: 1 });
+          this._print('', '');
+          this._print('  type a project name for more info', 'info-line');
+          this._print('', '');
+        },
+      });
+
+      this.registerCommand('socials', {
+        description: 'find me online',
+        run: () => {
+          const content = this._requireContent();
+          if (!content) return;
+          this._print('', '');
+          this._print('  find me:', 'info-line');
+          content.socials.forEach((social) => {
+            this.printLink(social.label.padEnd(9) + social.handle, social.url);
+          });
+          this._print('', '');
+        },
+      });
 
-        case 'brain':
+      this.registerCommand('brain', {
+        description: 'toggle brain viz',
+        run: () => {
           this.brainActive = !this.brainActive;
           document.body.classList.toggle('brain-active', this.brainActive);
           if (this.cabinScene) this.cabinScene.toggleBrain(this.brainActive);
           this._print('  brain visualization ' + (this.brainActive ? 'activated' : 'deactivated'), 'accent-line');
-          break;
+        },
+      });
 
-        case 'facts':
+      this.registerCommand('facts', {
+        description: 'fun facts',
+        run: () => {
+          const content = this._requireContent();
+          if (!content) return;
           this._print('', '');
           this._print('  fun facts:', 'info-line');
-          this._print('  · ran a 7-figure clothing brand in high school', '');
-          this._print('  · 170+ podcast episodes with my friend thomas', '');
-          this._print('  · spent 2 months in rural japan building software', '');
-          this._print('  · working with iPSC, growing organoids', '');
+          content.facts.forEach((fact) => this._print('  · ' + fact, ''));
           this._print('', '');
-          break;
+        },
+      });
 
-        case 'ls':
+      this.registerCommand('books', {
+        description: 'the bookshelf\'s reading list',
+        usage: 'books [id]',
+        complete: (partial) => (this.content && this.content.readingList || [])
+          .map((book) => book.id).filter((id) => id.startsWith(partial)),
+        run: (args) => {
+          const content = this._requireContent();
+          if (!content) return;
+          const list = content.readingList || [];
+          if (args.length) {
+            const book = list.find((b) => b.id === args[0]);
+            if (!book) {
+              this._printError('  books: no such book: ' + args[0]);
+              return;
+            }
+            this._print('', '');
+            this._print('  ' + book.title, 'info-line');
+            this._print('  by ' + book.author, '');
+            this._print('', '');
+            (book.notes || []).forEach((line) => this._print('  ' + line, ''));
+            this._print('', '');
+            return;
+          }
           this._print('', '');
-          this._print('  about.txt    projects/    socials.txt', 'info-line');
-          this._print('  brain.sh     kodan/       readme.md', 'info-line');
+          this._print('  on the shelf:', 'info-line');
+          this.printTable(list.map((book, i) => [
+            i === list.length - 1 ? '└──' : '├──',
+            { text: book.title, href: this._bookRoute(book.id) },
+            '— ' + book.author,
+          ]), { gap: 1 });
           this._print('', '');
-          break;
+        },
+      });
 
-        case 'cat':
-          if (args[1] === 'readme.md' || args[1] === 'readme') {
+      this.registerCommand('ls', {
+        description: 'list files',
+        usage: 'ls [dir]',
+        complete: completePath,
+        run: (args) => {
+          if (!this.fs) return;
+          const node = this.fs.resolve(args[0]);
+          if (!node) {
+            this._printError('  ls: ' + args[0] + ': no such file or directory');
+          } else if (node.type === 'file') {
+            this._print('  ' + node.name, 'info-line');
+          } else if (this._capture) {
+            // One name per line when piped, like ls(1) writing to a non-tty
+            this.fs.list(node).forEach((name) => this._print('  ' + name, ''));
+          } else {
             this._print('', '');
-            this._print('# dieter', '');
-            this._print('  builder of weird things.', '');
-            this._print('  filmmaker. creative. 20.', '');
-            this._print('  currently in japan.', '');
+            this._print('  ' + this.fs.list(node).join('    '), 'info-line');
             this._print('', '');
-          } else if (args[1] === 'about.txt' || args[1] === 'about') {
-            this.processCommand('about');
-          } else if (args[1] === 'socials.txt' || args[1] === 'socials') {
-            this.processCommand('socials');
+          }
+        },
+      });
+
+      this.registerCommand('cd', {
+        description: 'change directory',
+        usage: 'cd <dir>',
+        complete: completePath,
+        run: (args) => {
+          if (!this.fs) return;
+          const err = this.fs.cd(args[0]);
+          if (err) this._printError('  ' + err);
+        },
+      });
+
+      this.registerCommand('pwd', {
+        description: 'print working directory',
+        run: () => {
+          if (this.fs) this._print('  ' + this.fs.pathOf(this.fs.cwd), '');
+        },
+      });
+
+      this.registerCommand('tree', {
+        description: 'show directory tree',
+        usage: 'tree [dir]',
+        complete: completePath,
+        run: (args) => {
+          if (!this.fs) return;
+          const node = this.fs.resolve(args[0]);
+          if (!node || node.type !== 'dir') {
+            this._printError('  tree: ' + (args[0] || '.') + ': not a directory');
+            return;
+          }
+          this._print('', '');
+          this._print('  ' + (args[0] || '.'), 'info-line');
+          this.fs.tree(node).forEach((line) => this._print('  ' + line, ''));
+          this._print('', '');
+        },
+      });
+
+      this.registerCommand('cat', {
+        description: 'read a file',
+        usage: 'cat <file>',
+        complete: completePath,
+        run: (args, ui, input) => {
+          if (args.length === 0 && input) {
+            input.forEach((line) => this._print('  ' + line, ''));
+            return;
+          }
+          if (args.length === 0) {
+            this._printError('  cat: ???: no such file');
+            return;
+          }
+          args.forEach((path) => {
+            const node = this.fs ? this.fs.resolve(path) : null;
+            if (!node) {
+              this._printError('  cat: ' + path + ': no such file');
+            } else if (node.type === 'dir') {
+              this._printError('  cat: ' + path + ': is a directory');
+            } else {
+              this._print('', '');
+              node.lines.forEach((line) => this._print(line ? '  ' + line : '', ''));
+              this._print('', '');
+            }
+          });
+        },
+      });
+
+      this.registerCommand('echo', {
+        description: 'print text',
+        usage: 'echo <text>',
+        run: (args) => this._print('  ' + args.join(' '), ''),
+      });
+
+      this.registerCommand('grep', {
+        description: 'filter lines (-i -v -n)',
+        usage: 'grep <pattern>',
+        complete: completePath,
+        run: (args, ui, input) => {
+          const { flags, positional } = parseFlags(args);
+          if (positional.length === 0) {
+            this._printError('  usage: grep [-ivn] <pattern> [file]');
+            return;
+          }
+          const lines = this._readInput('grep', positional[1], input);
+          if (!lines) return;
+
+          // Fall back to a literal match when the pattern isn't a valid regex
+          let re;
+          try {
+            re = new RegExp(positional[0], flags.i ? 'i' : '');
+          } catch (e) {
+            re = new RegExp(escapeRegExp(positional[0]), flags.i ? 'i' : '');
+          }
+          lines.forEach((line, n) => {
+            if (re.test(line) === !!flags.v) return;
+            this._print('  ' + (flags.n ? (n + 1) + ':' : '') + line, '');
+          });
+        },
+      });
+
+      this.registerCommand('head', {
+        description: 'first lines (-n N)',
+        usage: 'head [-n N]',
+        complete: completePath,
+        run: (args, ui, input) => {
+          // Accept the classic "head -5" shorthand too
+          const shorthand = args.findIndex((arg) => /^-\d+$/.test(arg));
+          const count = shorthand >= 0 ? args.splice(shorthand, 1)[0].slice(1) : null;
+          const { flags, positional } = parseFlags(args, ['n']);
+          const n = parseInt(count || flags.n || 10, 10);
+          const lines = this._readInput('head', positional[0], input);
+          if (!lines) return;
+          lines.slice(0, Math.max(0, n)).forEach((line) => this._print('  ' + line, ''));
+        },
+      });
+
+      this.registerCommand('wc', {
+        description: 'count lines, words, chars',
+        usage: 'wc [-lwc]',
+        complete: completePath,
+        run: (args, ui, input) => {
+          const { flags, positional } = parseFlags(args);
+          const lines = this._readInput('wc', positional[0], input);
+          if (!lines) return;
+
+          const counts = {
+            l: lines.length,
+            w: lines.reduce((sum, line) => sum + line.split(/\s+/).filter(Boolean).length, 0),
+            c: lines.reduce((sum, line) => sum + line.length + 1, 0),
+          };
+          const wanted = ['l', 'w', 'c'].filter((f) => flags[f]);
+          const shown = (wanted.length ? wanted : ['l', 'w', 'c']).map((f) => String(counts[f]).padStart(6));
+          this._print('  ' + shown.join(' ') + (positional[0] ? ' ' + positional[0] : ''), '');
+        },
+      });
+
+      this.registerCommand('history', {
+        description: 'show past commands',
+        usage: 'history [-c]',
+        run: (args) => {
+          if (args[0] === '-c') {
+            this.terminalHistory.length = 0;
+            try {
+              localStorage.removeItem('dieter-terminal-history');
+            } catch (e) {
+              // Storage blocked — nothing was saved to forget
+            }
+            return;
+          }
+          this.terminalHistory.forEach((entry, i) => {
+            this._print('  ' + String(i + 1).padStart(4) + '  ' + entry, '');
+          });
+        },
+      });
+
+      this.registerCommand('clear', {
+        description: 'clear terminal',
+        run: () => {
+          if (this._screenSink) {
+            this._screenSink.cleared = true;
+            return;
+          }
+          const output = this._outputEl();
+          if (output) output.textContent = '';
+        },
+      });
+
+      this.registerCommand('note', {
+        description: 'save, share or reset the laptop screen',
+        usage: 'note <export|share|reset>',
+        complete: (partial) => ['export', 'share', 'reset'].filter((sub) => sub.startsWith(partial)),
+        run: (args) => {
+          if (!this.cabinScene || !this.cabinScene.getScreenLines) {
+            this._printError('  note: the laptop screen needs the 3D scene');
+            return;
+          }
+          if (args[0] === 'export') {
+            this.exportScreenText();
+            this._print('  saved laptop.txt', 'info-line');
+          } else if (args[0] === 'share') {
+            const url = this.shareScreenUrl();
+            this.printLink(url, url);
+            if (navigator.clipboard) {
+              navigator.clipboard.writeText(url).catch(() => {});
+              this._print('  copied to the clipboard', 'info-line');
+            }
+          } else if (args[0] === 'reset') {
+            this.resetScreen();
           } else {
-            this._print('  cat: ' + (args[1] || '???') + ': no such file', '');
+            this._printError('  usage: note <export|share|reset>');
           }
-          break;
+        },
+      });
+
+      this.registerCommand('explore', {
+        description: 'walk around the cabin (again to stop)',
+        aliases: ['walk'],
+        run: () => {
+          if (this.exploring) {
+            this.exitExplore();
+            return;
+          }
+          if (!this.enterExplore()) {
+            this._printError('  explore: walking needs the 3D scene');
+            return;
+          }
+          this._print(this._coarsePointer()
+            ? '  drag the stick to walk, drag anywhere else to look around'
+            : '  WASD to walk, shift to run, mouse to look — esc twice to stop', 'info-line');
+        },
+      });
 
-        case 'clear':
-          if (this.laptopTerminalOpen) {
-            const lOutput = $('#laptop-screen-output');
-            if (lOutput) lOutput.innerHTML = '';
+      this.registerCommand('tv', {
+        description: 'change the channel or volume on the cabin tv',
+        usage: 'tv [next|prev|<channel>|vol <0-100>|mute]',
+        complete: (partial) => {
+          const state = this.cabinScene && this.cabinScene.getTVState ? this.cabinScene.getTVState() : null;
+          return ['next', 'prev', 'vol', 'mute'].concat(state ? state.channels.map((channel) => channel.id) : [])
+            .filter((word) => word.startsWith(partial));
+        },
+        run: (args) => {
+          const scene = this.cabinScene;
+          const state = scene && scene.getTVState ? scene.getTVState() : null;
+          if (!state) {
+            this._printError('  tv: the tv needs the 3D scene');
+            return;
+          }
+          const [sub, value] = args;
+          const channels = state.channels;
+          if (!sub) {
+            this._print('', '');
+            this.printTable(channels.map((channel, i) => [
+              (i + 1 === state.number ? '▶ ' : '  ') + (i + 1),
+              channel.name,
+              channel.type,
+            ]), { gap: 2 });
+            this._print('', '');
+            this._print('  ' + (state.muted ? 'muted' : 'volume ' + Math.round(state.volume * 100)), 'info-line');
+            return;
+          }
+          if (sub === 'next') scene.channelUp();
+          else if (sub === 'prev') scene.channelDown();
+          else if (sub === 'mute') scene.toggleTVMute();
+          else if (sub === 'vol' || sub === 'volume') {
+            const level = Number(value);
+            if (value === undefined || !Number.isFinite(level) || level < 0 || level > 100) {
+              this._printError('  usage: tv vol <0-100>');
+              return;
+            }
+            scene.setTVVolume(level / 100);
           } else {
-            const output = $('#terminal-output');
-            if (output) output.innerHTML = '';
+            const index = /^\d+$/.test(sub) ? Number(sub) - 1 : channels.findIndex((channel) => channel.id === sub);
+            if (index < 0 || index >= channels.length) {
+              this._printError('  tv: no such channel: ' + sub);
+              return;
+            }
+            scene.tuneTV(index);
           }
-          break;
+          const now = scene.getTVState();
+          this._print('  ch ' + now.number + ' · ' + now.channel.name +
+            (now.muted ? ' · muted' : ' · volume ' + Math.round(now.volume * 100)), 'info-line');
+        },
+      });
+
+      this.registerCommand('ascii', {
+        description: 'draw the 3D scene as ascii characters (again to stop)',
+        usage: 'ascii [on|off|<0-100>]',
+        complete: (partial) => ['on', 'off', '50', '100'].filter((word) => word.startsWith(partial)),
+        run: (args) => {
+          const scene = this.cabinScene;
+          const state = scene && scene.getAscii ? scene.getAscii() : null;
+          if (!state || !state.available) {
+            this._printError('  ascii: needs the 3D scene with effects on');
+            return;
+          }
+          const arg = args[0];
+          let blend;
+          if (arg === undefined) blend = state.enabled ? 0 : this._asciiBlend;
+          else if (arg === 'on') blend = this._asciiBlend;
+          else if (arg === 'off') blend = 0;
+          else {
+            const level = Number(arg);
+            if (!Number.isFinite(level) || level < 0 || level > 100) {
+              this._printError('  usage: ascii [on|off|<0-100>]');
+              return;
+            }
+            blend = level / 100;
+            if (blend > 0) this._asciiBlend = blend;
+          }
+          scene.setAscii(blend > 0, blend);
+          this._print('  ascii ' + (blend > 0 ? Math.round(blend * 100) + '%' : 'off'), 'info-line');
+        },
+      });
+
+      this.registerCommand('timeofday', {
+        description: 'preview the cabin at another time of day',
+        usage: 'timeofday [hh:mm|now]',
+        aliases: ['tod'],
+        complete: (partial) => ['now', '06:30', '12:00', '18:30', '23:00'].filter((word) => word.startsWith(partial)),
+        run: (args) => {
+          const scene = this.cabinScene;
+          if (args[0] === 'now') {
+            this._timeOverride = null;
+          } else if (args[0]) {
+            const hours = this._parseClock(args[0]);
+            if (hours === null) {
+              this._printError('  usage: timeofday <hh:mm|now>');
+              return;
+            }
+            this._timeOverride = hours;
+          }
+          this.applyTimeOfDay();
+          const hours = scene && scene.getTimeOfDay ? scene.getTimeOfDay().hours : null;
+          const shown = this._timeOverride !== null ? this._timeOverride : hours;
+          this._print('  ' + (shown === null ? 'no 3D scene' : this._formatClock(shown)) +
+            (this._timeOverride !== null ? ' (preview — timeofday now to go back)' : ' (your clock)'), 'info-line');
+        },
+      });
 
-        case 'exit':
-        case 'quit':
-        case 'q':
+      this.registerCommand('weather', {
+        description: 'change the weather around the cabin',
+        usage: 'weather [clear|rain|snow|fog|auto]',
+        complete: (partial) => ['clear', 'rain', 'snow', 'fog', 'auto'].filter((word) => word.startsWith(partial)),
+        run: (args) => {
+          const scene = this.cabinScene;
+          if (!scene || !scene.setWeather) {
+            this._printError('  weather: the weather needs the 3D scene');
+            return;
+          }
+          const state = args[0];
+          if (state) {
+            try {
+              scene.setWeather(state === 'auto' ? null : state);
+            } catch (err) {
+              this._printError('  weather: ' + state + '? try clear, rain, snow, fog or auto');
+              return;
+            }
+          }
+          this._print('  ' + scene.getWeather() + (scene.weatherOverride ? '' : ' (auto)'), 'info-line');
+        },
+      });
+
+      this.registerCommand('exit', {
+        description: 'close terminal',
+        aliases: ['quit', 'q'],
+        run: () => {
           if (this.laptopTerminalOpen) this.closeLaptopTerminal();
           else this.closeTerminal();
-          break;
+        },
+      });
 
-        case 'sudo':
-          this._print('  nice try.', 'accent-line');
-          break;
+      this.registerCommand('sudo', {
+        hidden: true,
+        run: () => this._print('  nice try.', 'accent-line'),
+      });
 
-        case 'neofetch':
+      this.registerCommand('neofetch', {
+        hidden: true,
+        run: () => {
+          const content = this._requireContent();
+          if (!content) return;
+          const { art, info } = content.neofetch;
+          const width = Math.max(...art.map((line) => line.length)) + 4;
           this._print('', '');
-          this._print('       /\\        dieter@cabin', 'accent-line');
-          this._print('      /  \\       -----------', 'accent-line');
-          this._print('     / /\\ \\      OS: macOS (in a cabin)', '');
-          this._print('    / /  \\ \\     Shell: dieter-terminal 1.0', '');
-          this._print('   /________\\    Host: rural japan', '');
-          this._print('   |  _  _  |    Uptime: 20 years', '');
-          this._print('   | |_||_| |    Projects: 8+', '');
-          this._print('   |________|    Coffee: always', '');
+          for (let i = 0; i < Math.max(art.length, info.length); i++) {
+            // Header lines (user@host and its underline) in the accent color
+            this._print((art[i] || '').padEnd(width) + (info[i] || ''), i < 2 ? 'accent-line' : '');
+          }
           this._print('', '');
-          break;
+        },
+      });
+    },
 
-        default:
-          this._print('  command not found: ' + command, '');
-          this._print('  type "help" for available commands', 'info-line');
-          break;
+    // -------------------------------------------------------------------
+    // 16c. Command history
+    // -------------------------------------------------------------------
+
+    historyLimit: 200,
+
+    initHistory() {
+      try {
+        const saved = JSON.parse(localStorage.getItem('dieter-terminal-history') || '[]');
+        if (Array.isArray(saved)) this.terminalHistory = saved.slice(-this.historyLimit);
+      } catch (e) {
+        console.warn('Terminal history could not be restored:', e);
+      }
+    },
+
+    _pushHistory(cmd) {
+      const history = this.terminalHistory;
+      if (history[history.length - 1] !== cmd) history.push(cmd);
+      if (history.length > this.historyLimit) history.splice(0, history.length - this.historyLimit);
+      try {
+        localStorage.setItem('dieter-terminal-history', JSON.stringify(history));
+      } catch (e) {
+        // Private mode / quota — history still works for this visit
+      }
+    },
+
+    // Expand !!, !n and !-n against history. Returns null if an event is missing.
+    _expandHistory(cmd) {
+      const history = this.terminalHistory;
+      let missing = null;
+      const expanded = cmd.replace(/!(!|-?\d+)/g, (match, ref) => {
+        const n = ref === '!' ? -1 : parseInt(ref, 10);
+        const entry = n < 0 ? history[history.length + n] : history[n - 1];
+        if (entry === undefined) {
+          missing = missing || match;
+          return match;
+        }
+        return entry;
+      });
+
+      if (missing) {
+        this._print('  ' + missing + ': event not found', '');
+        return null;
+      }
+      return expanded;
+    },
+
+    // Up/Down navigation and Ctrl+R search. Returns true if the key was consumed.
+    _handleHistoryKeys(e, input) {
+      if (input._search) return this._historySearchKey(e, input);
+
+      if (e.key === 'r' && e.ctrlKey) {
+        e.preventDefault();
+        this._startHistorySearch(input);
+        return true;
+      }
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        this._historyStep(input, e.key === 'ArrowUp' ? -1 : 1);
+        return true;
+      }
+      return false;
+    },
+
+    _historyStep(input, dir) {
+      const history = this.terminalHistory;
+      if (history.length === 0) return;
+
+      // Remember the half-typed line so stepping past the newest entry restores it
+      if (input._historyIndex === null || input._historyIndex === undefined) {
+        input._historyIndex = history.length;
+        input._historyDraft = input.value;
+      }
+      const next = clamp(input._historyIndex + dir, 0, history.length);
+      input._historyIndex = next;
+      input.value = next === history.length ? input._historyDraft : history[next];
+      input.setSelectionRange(input.value.length, input.value.length);
+    },
+
+    _startHistorySearch(input) {
+      const prompt = input.previousElementSibling;
+      input._search = {
+        query: '',
+        index: this.terminalHistory.length,
+        failed: false,
+        original: input.value,
+        prompt,
+        promptText: prompt ? prompt.textContent : '',
+      };
+      this._renderHistorySearch(input);
+    },
+
+    // Find the newest entry at or before `from` containing the query
+    _searchHistory(input, from) {
+      const search = input._search;
+      for (let i = Math.min(from, this.terminalHistory.length - 1); i >= 0; i--) {
+        if (this.terminalHistory[i].includes(search.query)) {
+          search.index = i;
+          search.failed = false;
+          return;
+        }
+      }
+      search.failed = true;
+    },
+
+    _historySearchKey(e, input) {
+      const search = input._search;
+
+      if (e.key === 'Enter') {
+        // Accept the match and let the caller run it
+        this._endHistorySearch(input);
+        return false;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.key === 'r' && e.ctrlKey) {
+        this._searchHistory(input, search.index - 1);
+      } else if (e.key === 'Backspace') {
+        search.query = search.query.slice(0, -1);
+        this._searchHistory(input, this.terminalHistory.length - 1);
+      } else if (e.key === 'g' && e.ctrlKey) {
+        // Cancel: restore the original line
+        input.value = search.original;
+        this._endHistorySearch(input);
+        return true;
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+        search.query += e.key;
+        this._searchHistory(input, search.index);
+      } else if (e.key !== 'Shift' && e.key !== 'Control' && e.key !== 'Alt' && e.key !== 'Meta') {
+        // Escape, arrows, Tab — keep the match for editing
+        this._endHistorySearch(input);
+        return true;
+      }
+
+      this._renderHistorySearch(input);
+      return true;
+    },
+
+    _renderHistorySearch(input) {
+      const search = input._search;
+      if (search.prompt) {
+        search.prompt.textContent = '(' + (search.failed ? 'failed ' : '') +
+          'reverse-i-search)`' + search.query + '\':';
+      }
+      input.value = this.terminalHistory[search.index] || '';
+    },
+
+    _endHistorySearch(input) {
+      const search = input._search;
+      if (search.prompt) search.prompt.textContent = search.promptText;
+      input._search = null;
+      input._historyIndex = null;
+      input.setSelectionRange(input.value.length, input.value.length);
+    },
+
+    // -------------------------------------------------------------------
+    // 16d. Project pages
+    // -------------------------------------------------------------------
+
+    // One command per project id. Each "/"-separated part of the name
+    // ("darukiyu") and the first word of a multi-word name ("laser", "hack")
+    // are aliases, unless another command already answers to them.
+    _registerProjectCommands(content) {
+      content.projects.forEach((project) => {
+        const name = project.name.toLowerCase();
+        const aliases = name.split('/')
+          .map((part) => part.trim().replace(/\s+/g, '-'))
+          .concat(name.split(/[\s/]+/)[0])
+          .filter((alias, i, all) => alias !== project.id && all.indexOf(alias) === i)
+          .filter((alias) => !this.commands[alias] &&
+            (!this._commandAliases[alias] || this._commandAliases[alias] === project.id));
+        this.registerCommand(project.id, {
+          description: project.summary,
+          aliases,
+          run: () => this.showProject(project.id),
+        });
+      });
+    },
+
+    // Match "laser speaker", "laser-speaker", "laser" or "darukiyu" to a project
+    _findProject(query) {
+      const key = query.trim().toLowerCase().replace(/\s+/g, '-');
+      const command = this.getCommand(key);
+      return this.content.projects.find((project) => project.id === key ||
+        project.name.toLowerCase().replace(/\s+/g, '-') === key ||
+        (command && command.name === project.id)) || null;
+    },
+
+    // The detail card shared by `projects <name>`, the per-project
+    // commands and #/projects/<id> links
+    showProject(id) {
+      const content = this._requireContent();
+      if (!content) return;
+      const project = content.projects.find((p) => p.id === id);
+      if (!project) {
+        this._printError('  projects: no such project: ' + id);
+        return;
+      }
+
+      this._print('', '');
+      this._print('  ' + (project.title || project.name), 'accent-line');
+      this._print('  ' + project.summary, 'info-line');
+      this._print('', '');
+      this._print('  ' + project.description, '');
+
+      const timeline = project.timeline || [];
+      if (timeline.length) {
+        this._print('', '');
+        this._print('  timeline:', 'info-line');
+        this.printTable(timeline.map((entry, i) => [
+          (i === timeline.length - 1 ? '└── ' : '├── ') + entry.when,
+          '— ' + entry.what,
+        ]), { gap: 1 });
+      }
+
+      if (project.stack && project.stack.length) {
+        this._print('', '');
+        this._print('  stack:', 'info-line');
+        this._print('  ' + project.stack.join(' · '), '');
+      }
+
+      const links = project.links || (project.url ? [{ label: 'visit ' + project.name, url: project.url }] : []);
+      if (links.length) {
+        this._print('', '');
+        this._print('  links:', 'info-line');
+        links.forEach((link) => this.printLink('→ ' + link.label, link.url));
+      }
+
+      (project.images || []).forEach((src) => this.printImage(src, true));
+      this._print('', '');
+
+      // Keep the address bar shareable without adding a history entry,
+      // unless the card went into a pipe or onto the laptop's canvas screen
+      if (!this._textSink()) this._writeRoute('#/projects/' + id, true);
+    },
+
+    // The decorative overlay is off, but its art renderer is still useful
+    _asciiOverlay() {
+      if (!this.asciiOverlay && typeof window.AsciiOverlay === 'function') {
+        this.asciiOverlay = new window.AsciiOverlay();
       }
+      return this.asciiOverlay;
+    },
+
+    // The overlay terminal where the page has one, else the laptop's,
+    // which only sits on the screen once the camera is zoomed in
+    _openAnyTerminal() {
+      if ($('#terminal-overlay')) {
+        if (!this.terminalOpen) this.openTerminal();
+      } else if (!this.laptopTerminalOpen) {
+        if (!this.isLaptopZoom) this._scrollToProgress(1);
+        this.openLaptopTerminal();
+      }
+    },
+
+    // -------------------------------------------------------------------
+    // 16e. Laptop notes
+    // -------------------------------------------------------------------
+
+    // What visitors type on the laptop's canvas screen survives reloads
+    // and can leave as a .txt file or a link carrying the whole buffer.
+
+    _screenFromLink: false,
+    _screenSaveTimers: {}, // per app
+    _screenNote: null, // { text, code } for the last saved buffer
+
+    // The terminal's buffer, or another text app's ("notes")
+    _screenStorageKey(app = 'terminal') {
+      return app === 'terminal' ? 'dieter-laptop-screen' : 'dieter-laptop-' + app;
+    },
+
+    _savedScreenLines(app) {
+      try {
+        const saved = JSON.parse(localStorage.getItem(this._screenStorageKey(app)) || 'null');
+        return Array.isArray(saved) && saved.length ? saved : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    // Debounced so a burst of typing is one write
+    _rememberScreen(lines, app = 'terminal') {
+      clearTimeout(this._screenSaveTimers[app]);
+      this._screenSaveTimers[app] = setTimeout(() => {
+        try {
+          localStorage.setItem(this._screenStorageKey(app), JSON.stringify(lines));
+        } catch (e) {
+          // Private mode / quota — the note still lives on the screen
+        }
+        if (app !== 'terminal') return;
+        // Compress ahead of time so `note share` can answer synchronously
+        const text = lines.join('\n');
+        encodeNote(text).then((code) => { this._screenNote = { text, code }; }).catch(() => {});
+      }, 400);
+    },
+
+    _openSharedNote(code) {
+      this._screenFromLink = true;
+      decodeNote(code).then((text) => {
+        if (this.cabinScene && this.cabinScene.setScreenLines) this.cabinScene.setScreenLines(text.split('\n'));
+      }).catch((e) => console.warn('Shared laptop note could not be opened:', e));
+    },
+
+    _screenText() {
+      return this.cabinScene && this.cabinScene.getScreenLines
+        ? this.cabinScene.getScreenLines().join('\n') : null;
+    },
+
+    // A link that opens the cabin desk with this text on the laptop
+    shareScreenUrl() {
+      const text = this._screenText();
+      if (text === null) return null;
+      const note = this._screenNote;
+      const code = note && note.text === text ? note.code : plainNoteCode(text);
+      return location.origin + location.pathname + formatRoute('cabin/desk', { note: code });
+    },
+
+    exportScreenText() {
+      const text = this._screenText();
+      if (text === null) return false;
+      const url = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'laptop.txt';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      return true;
+    },
+
+    resetScreen() {
+      const apply = () => {
+        clearTimeout(this._screenSaveTimers.terminal);
+        try {
+          localStorage.removeItem('dieter-laptop-screen');
+        } catch (e) {
+          // Storage blocked — nothing was saved to forget
+        }
+        this._screenNote = null;
+        this._screenFromLink = false;
+        if (this.content && this.cabinScene && this.cabinScene.setScreenLines) {
+          this.cabinScene.setScreenLines(this._laptopScreenLines(this.content));
+        }
+      };
+      // Typed on the laptop screen itself, wait for the command's own
+      // output and prompt to land (and be saved) before replacing it all
+      if (this._screenSink) setTimeout(apply, 0);
+      else apply();
+    },
+
+    // -------------------------------------------------------------------
+    // 16f. Reading list
+    // -------------------------------------------------------------------
+
+    // Clicking a book on the shelf pulls it out and opens a small card with
+    // its notes; the same notes live in /books for `cat` and `books <id>`.
+
+    _bookPanel: null,
+
+    // A terminal link that shows one book's notes
+    _bookRoute(id) {
+      return formatRoute('terminal', { cmd: 'books ' + id });
+    },
+
+    // Built once from DOM nodes; book notes are content, never markup
+    _ensureBookPanel() {
+      if (this._bookPanel) return this._bookPanel;
+      const panel = document.createElement('aside');
+      panel.className = 'book-panel';
+      panel.setAttribute('aria-live', 'polite');
+      panel.hidden = true;
+
+      const close = document.createElement('button');
+      close.className = 'book-panel-close';
+      close.type = 'button';
+      close.setAttribute('aria-label', 'put the book back');
+      close.textContent = '×';
+      close.addEventListener('click', () => this.hideBookPanel(true));
+
+      const title = document.createElement('h3');
+      title.className = 'book-panel-title';
+      const author = document.createElement('p');
+      author.className = 'book-panel-author';
+      const notes = document.createElement('ul');
+      notes.className = 'book-panel-notes';
+      const more = document.createElement('a');
+      more.className = 'book-panel-more';
+      more.textContent = '> cat in terminal';
+
+      panel.append(close, title, author, notes, more);
+      document.body.appendChild(panel);
+      window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !panel.hidden) this.hideBookPanel(true);
+      });
+
+      this._bookPanel = { panel, title, author, notes, more };
+      return this._bookPanel;
+    },
+
+    showBookPanel(book) {
+      const el = this._ensureBookPanel();
+      el.title.textContent = book.title;
+      el.author.textContent = 'by ' + book.author;
+      el.notes.replaceChildren(...(book.notes || []).map((note) => {
+        const li = document.createElement('li');
+        li.textContent = note;
+        return li;
+      }));
+      el.more.href = formatRoute('terminal', { cmd: 'cat /books/' + book.id + '.md' });
+      el.panel.style.setProperty('--book-color', book.color || '');
+      el.panel.hidden = false;
+    },
+
+    // shelve: also slide the book back (closing from the panel, not the shelf)
+    hideBookPanel(shelve) {
+      if (this._bookPanel) this._bookPanel.panel.hidden = true;
+      if (shelve && this.cabinScene && this.cabinScene.shelveBooks) this.cabinScene.shelveBooks();
     },
 
     // -------------------------------------------------------------------
@@ -1293,6 +3213,7 @@
       }
 
       const toggleMode = () => {
+        if (!this.flatMode) this.exitExplore();
         this.flatMode = !this.flatMode;
         document.body.classList.toggle('flat-mode', this.flatMode);
         localStorage.setItem('dieter-flat-mode', this.flatMode);
@@ -1312,12 +3233,131 @@
       if (mobileBtn) mobileBtn.addEventListener('click', toggleMode);
     },
 
+    // -------------------------------------------------------------------
+    // 18. Explore mode — walk the cabin off the scroll rail
+    // -------------------------------------------------------------------
+
+    exploring: false,
+    _exploreUI: null, // { button, crosshair, joystick }
+
+    initExplore() {
+      if (!this.cabinScene || !this.cabinScene.enterExplore) return;
+
+      const button = document.createElement('button');
+      button.className = 'explore-toggle';
+      button.type = 'button';
+      button.title = 'walk around the cabin';
+      button.addEventListener('click', () => this.toggleExplore());
+      document.body.appendChild(button);
+
+      const crosshair = document.createElement('div');
+      crosshair.className = 'explore-crosshair';
+      crosshair.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(crosshair);
+
+      this._exploreUI = { button, crosshair, joystick: this._buildJoystick() };
+      this._updateExploreUI();
+
+      // The first Escape is the browser's, to let go of the pointer; one
+      // more with the pointer free leaves
+      window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.exploring && !this.cabinScene.pointerLocked) this.exitExplore();
+      });
+    },
+
+    // Touch: drag the knob and the scene walks that way
+    _buildJoystick() {
+      const base = document.createElement('div');
+      base.className = 'explore-joystick';
+      base.setAttribute('aria-hidden', 'true');
+      const knob = document.createElement('div');
+      knob.className = 'explore-joystick-knob';
+      base.appendChild(knob);
+      document.body.appendChild(base);
+
+      const move = (e) => {
+        const rect = base.getBoundingClientRect();
+        const r = rect.width / 2;
+        let x = (e.clientX - rect.left - r) / r;
+        let y = (e.clientY - rect.top - r) / r;
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+          x /= length;
+          y /= length;
+        }
+        knob.style.transform = 'translate(' + (x * r * 0.6) + 'px, ' + (y * r * 0.6) + 'px)';
+        this.cabinScene.setExploreMove(x, -y);
+      };
+      const release = () => {
+        knob.style.transform = '';
+        this.cabinScene.setExploreMove(0, 0);
+      };
+
+      base.addEventListener('pointerdown', (e) => {
+        base.setPointerCapture(e.pointerId);
+        move(e);
+      });
+      base.addEventListener('pointermove', (e) => {
+        if (base.hasPointerCapture(e.pointerId)) move(e);
+      });
+      base.addEventListener('pointerup', release);
+      base.addEventListener('pointercancel', release);
+      return base;
+    },
+
+    _coarsePointer() {
+      return window.matchMedia('(pointer: coarse)').matches;
+    },
+
+    _updateExploreUI() {
+      if (!this._exploreUI) return;
+      const button = this._exploreUI.button;
+      button.textContent = this.exploring ? 'leave' : 'explore';
+      button.setAttribute('aria-pressed', String(this.exploring));
+    },
+
+    toggleExplore() {
+      if (this.exploring) this.exitExplore();
+      else this.enterExplore();
+    },
+
+    enterExplore() {
+      if (this.exploring) return true;
+      if (this.flatMode || !this.cabinScene || !this.cabinScene.enterExplore) return false;
+
+      // The walk starts from the camera, not from a terminal or the screen
+      if (this.laptopTerminalOpen) this.closeLaptopTerminal();
+      if (this.terminalOpen) this.closeTerminal();
+      if (this.cabinScene._screenEditing) this.cabinScene.disableScreenEditing();
+      this._hideHoverHint();
+
+      this.cabinScene.enterExplore();
+      this.exploring = true;
+      document.body.classList.add('exploring');
+      this._updateExploreUI();
+      return true;
+    },
+
+    exitExplore() {
+      if (!this.exploring) return;
+      this.cabinScene.exitExplore();
+      this.exploring = false;
+      document.body.classList.remove('exploring');
+      this._updateExploreUI();
+      this._hideHoverHint();
+      // Back on the rail: laptop editing and the rest follow the scroll again
+      this.onScroll();
+    },
+
   };
 
   // -------------------------------------------------------------------------
   // Bootstrap
   // -------------------------------------------------------------------------
 
+  // Built-ins go in before init so scripts loaded later can override them
+  UI._registerBuiltinCommands();
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => UI.init());
   } else {
@@ -0,0 +1,197 @@
+/**
+ * VirtualFS - In-memory filesystem behind the cabin terminal.
+ * Built from a JSON manifest: objects are directories, arrays of strings
+ * are files (one entry per line). The manifest root doubles as home (~).
+ * Vanilla JS, no imports.
+ */
+
+class VirtualFS {
+  constructor(manifest = {}) {
+    this.root = this._build('', manifest, null);
+    this.cwd = this.root;
+  }
+
+  /**
+   * Fetch a manifest and build a filesystem from it.
+   * Returns a promise that resolves to a VirtualFS instance.
+   */
+  static load(url) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error('VirtualFS: ' + url + ' responded ' + res.status);
+        return res.json();
+      })
+      .then((manifest) => new VirtualFS(manifest));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Resolve an absolute (/, ~) or relative path to a node, or null.
+   */
+  resolve(path) {
+    if (path === undefined || path === null || path === '') return this.cwd;
+
+    let node = this.cwd;
+    let rest = String(path);
+    if (rest === '~' || rest.startsWith('~/')) {
+      node = this.root;
+      rest = rest.slice(1);
+    }
+    if (rest.startsWith('/')) node = this.root;
+
+    for (const part of rest.split('/')) {
+      if (!part || part === '.') continue;
+      if (part === '..') {
+        node = node.parent || node;
+        continue;
+      }
+      if (node.type !== 'dir' || !node.children[part]) return null;
+      node = node.children[part];
+    }
+    return node;
+  }
+
+  /**
+   * Absolute path of a node, e.g. "/projects/kodan.md".
+   */
+  pathOf(node) {
+    const parts = [];
+    for (let n = node; n && n.parent; n = n.parent) parts.unshift(n.name);
+    return '/' + parts.join('/');
+  }
+
+  /**
+   * Prompt-friendly path of the working directory, e.g. "~/projects".
+   */
+  displayPath() {
+    const abs = this.pathOf(this.cwd);
+    return abs === '/' ? '~' : '~' + abs;
+  }
+
+  /**
+   * Change the working directory. Returns an error message or null.
+   */
+  cd(path) {
+    const node = this.resolve(path === undefined ? '~' : path);
+    if (!node) return 'cd: no such file or directory: ' + path;
+    if (node.type !== 'dir') return 'cd: not a directory: ' + path;
+    this.cwd = node;
+    return null;
+  }
+
+  /**
+   * Sorted child names of a directory, with a trailing "/" on directories.
+   */
+  list(node) {
+    return Object.keys(node.children)
+      .sort()
+      .map((name) => name + (node.children[name].type === 'dir' ? '/' : ''));
+  }
+
+  /**
+   * Lines of a file, or null if the path is missing or a directory.
+   */
+  read(path) {
+    const node = this.resolve(path);
+    return node && node.type === 'file' ? node.lines.slice() : null;
+  }
+
+  /**
+   * Merge a manifest into an existing directory, replacing same-named files.
+   * Returns an error message or null.
+   */
+  mount(path, manifest) {
+    const dir = this.resolve(path);
+    if (!dir || dir.type !== 'dir') return 'mount: not a directory: ' + path;
+
+    Object.keys(manifest).forEach((key) => {
+      const entry = manifest[key];
+      const existing = dir.children[key];
+      const entryIsDir = entry && typeof entry === 'object' && !Array.isArray(entry);
+      if (existing && existing.type === 'dir' && entryIsDir) {
+        this.mount(this.pathOf(existing), entry);
+      } else {
+        dir.children[key] = this._build(key, entry, dir);
+      }
+    });
+    return null;
+  }
+
+  /**
+   * Create or overwrite a file, or append to it. Returns an error message or null.
+   */
+  writeFile(path, lines, append = false) {
+    const slash = path.lastIndexOf('/');
+    const dir = this.resolve(slash >= 0 ? path.slice(0, slash) || '/' : '.');
+    const name = path.slice(slash + 1);
+    if (!dir || dir.type !== 'dir') return 'no such file or directory: ' + path;
+
+    const existing = dir.children[name];
+    if (!name || name === '.' || name === '..' || (existing && existing.type === 'dir')) {
+      return 'is a directory: ' + path;
+    }
+    if (existing && append) {
+      existing.lines.push(...lines);
+    } else {
+      dir.children[name] = { name, type: 'file', parent: dir, lines: lines.slice() };
+    }
+    return null;
+  }
+
+  /**
+   * Render a directory as tree(1)-style lines.
+   */
+  tree(node, prefix = '') {
+    const lines = [];
+    const names = this.list(node);
+    names.forEach((name, i) => {
+      const last = i === names.length - 1;
+      lines.push(prefix + (last ? '└── ' : '├── ') + name);
+      const child = node.children[name.replace(/\/$/, '')];
+      if (child.type === 'dir') {
+        lines.push(...this.tree(child, prefix + (last ? '    ' : '│   ')));
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Path completions for a partial path, e.g. "proj" -> ["projects/"].
+   */
+  complete(partial) {
+    const slash = partial.lastIndexOf('/');
+    const dirPart = slash >= 0 ? partial.slice(0, slash + 1) : '';
+    const base = slash >= 0 ? partial.slice(slash + 1) : partial;
+    const dir = this.resolve(dirPart || '.');
+    if (!dir || dir.type !== 'dir') return [];
+
+    return this.list(dir)
+      .filter((name) => name.startsWith(base))
+      .map((name) => dirPart + name);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Manifest parsing
+  // ---------------------------------------------------------------------------
+
+  _build(name, entry, parent) {
+    if (Array.isArray(entry)) {
+      return { name, type: 'file', parent, lines: entry.map(String) };
+    }
+    if (typeof entry === 'string') {
+      return { name, type: 'file', parent, lines: entry.split('\n') };
+    }
+
+    const dir = { name, type: 'dir', parent, children: {} };
+    Object.keys(entry || {}).forEach((key) => {
+      dir.children[key] = this._build(key, entry[key], dir);
+    });
+    return dir;
+  }
+}
+
+// Export to global scope
+window.VirtualFS = VirtualFS;